@@ -0,0 +1,41 @@
+// Local stand-in for the leaderboard Apps Script, for testing without Google.
+// Usage: node mock-leaderboard-server.js [port] [data.json]
+// Then set the Leaderboard URL in Settings to http://localhost:8787/
+const http = require('http');
+const fs = require('fs');
+
+const port = Number(process.argv[2]) || 8787;
+const dataFile = process.argv[3];
+
+let entries = [];
+if (dataFile && fs.existsSync(dataFile)) entries = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+};
+
+http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method === 'GET') return send(res, 200, { status: 'success', entries });
+  if (req.method !== 'POST') return send(res, 405, { status: 'error', message: 'Method not allowed' });
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      const incoming = JSON.parse(raw).entries || [];
+      const known = new Set(entries.map(e => e.id));
+      const added = incoming.filter(e => e.id && !known.has(e.id) && known.add(e.id));
+      entries = [...entries, ...added];
+      if (dataFile) fs.writeFileSync(dataFile, JSON.stringify(entries, null, 2));
+      send(res, 200, { status: 'success', added: added.length });
+    } catch (e) {
+      send(res, 400, { status: 'error', message: e.message });
+    }
+  });
+}).listen(port, () => console.log(`Mock leaderboard on http://localhost:${port}/ (${entries.length} entries)`));
@@ -0,0 +1,69 @@
+// Builds index.html from src: the app bundled for production and Tailwind compiled down to the classes src uses,
+// both inlined so the page loads with no CDN and works offline. Also writes sw.js, versioned by a hash of the page,
+// which precaches the shell for installed use. Run with `npm run build`; don't edit index.html or sw.js by hand.
+import { build, transform } from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fromRoot = (file) => path.join(root, file);
+
+// styles.css is compiled through Tailwind below, so the bundle itself skips it
+const skipCss = {
+  name: 'skip-css',
+  setup(b) { b.onLoad({ filter: /\.css$/ }, () => ({ contents: '', loader: 'css' })); }
+};
+
+const bundleJs = async () => {
+  const result = await build({
+    entryPoints: [fromRoot('src/main.jsx')],
+    bundle: true,
+    minify: true,
+    write: false,
+    outdir: fromRoot('dist'),
+    format: 'iife',
+    target: 'es2019',
+    loader: { '.csv': 'text' },
+    define: { 'process.env.NODE_ENV': '"production"' },
+    legalComments: 'none',
+    plugins: [skipCss]
+  });
+  const js = result.outputFiles.find(f => f.path.endsWith('.js')).text;
+  // A literal </script> inside the bundle would end the inline script early
+  return js.replace(/<\/script/gi, '<\\/script');
+};
+
+const compileCss = async () => {
+  const input = fromRoot('src/styles.css');
+  const { css } = await postcss([tailwindcss(fromRoot('tailwind.config.js'))]).process(await readFile(input, 'utf8'), { from: input });
+  return (await transform(css, { loader: 'css', minify: true })).code;
+};
+
+// Everything the installed app needs with no network; the manifest's icons are listed there already
+const buildServiceWorker = async (html) => {
+  const manifestText = await readFile(fromRoot('manifest.webmanifest'), 'utf8');
+  const icons = JSON.parse(manifestText).icons.map(icon => `./${icon.src}`);
+  const precache = ['./', './index.html', './manifest.webmanifest', ...icons, './icons/apple-touch-icon.png'];
+  const version = createHash('sha256').update(html).update(manifestText).digest('hex').slice(0, 12);
+  const source = await readFile(fromRoot('src/sw.js'), 'utf8');
+  const sw = source
+    .replace("'__APP_VERSION__'", () => JSON.stringify(version))
+    .replace('__PRECACHE__', () => JSON.stringify(precache))
+    .replace('// ============ SERVICE WORKER ============', '// Generated by `npm run build` from src/sw.js. Edit the source, not this file.');
+  await writeFile(fromRoot('sw.js'), sw);
+  return version;
+};
+
+const [js, css] = await Promise.all([bundleJs(), compileCss()]);
+const template = await readFile(fromRoot('src/index.html'), 'utf8');
+const html = template
+  .replace('<!-- build:css -->', () => `<style>${css}</style>`)
+  .replace('<!-- build:js -->', () => `<script>${js}</script>`)
+  .replace('<head>', '<head>\n  <!-- Generated by `npm run build` from src/. Edit the sources, not this file. -->');
+await writeFile(fromRoot('index.html'), html);
+console.log(`index.html: ${(html.length / 1024).toFixed(0)} KB (js ${(js.length / 1024).toFixed(0)} KB, css ${(css.length / 1024).toFixed(0)} KB)`);
+console.log(`sw.js: version ${await buildServiceWorker(html)}`);
@@ -0,0 +1,126 @@
+// Draws the app icons (a gold star on the galaxy purple) into icons/ for the web app manifest.
+// The PNGs are committed; rerun with `npm run icons` only when the artwork here changes.
+import { deflateSync } from 'node:zlib';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const outDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'icons');
+
+// Same stops as SpaceBackground's default gradient, top to bottom
+const SKY = [[0x1a, 0x0a, 0x2e], [0x2d, 0x1b, 0x4e], [0x4a, 0x2c, 0x7a]];
+const STAR = [0xfa, 0xcc, 0x15];
+const STAR_EDGE = [0xf5, 0x9e, 0x0b];
+const SPECKS = [[0.2, 0.18, 0.012], [0.8, 0.24, 0.009], [0.16, 0.76, 0.008], [0.84, 0.8, 0.011], [0.5, 0.1, 0.007]];
+const SAMPLES = 3;
+
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const skyAt = (y) => (y < 0.5 ? mix(SKY[0], SKY[1], y * 2) : mix(SKY[1], SKY[2], (y - 0.5) * 2));
+
+// Five-point star centred at (0.5, 0.52), as polygon corners in unit coordinates
+const starPolygon = (outer) => Array.from({ length: 10 }, (_, i) => {
+  const r = i % 2 === 0 ? outer : outer * 0.45;
+  const a = -Math.PI / 2 + (i * Math.PI) / 5;
+  return [0.5 + r * Math.cos(a), 0.52 + r * Math.sin(a)];
+});
+
+const insidePolygon = (x, y, poly) => {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+const insideRoundedSquare = (x, y, radius) => {
+  const dx = Math.max(radius - x, 0, x - (1 - radius));
+  const dy = Math.max(radius - y, 0, y - (1 - radius));
+  return dx * dx + dy * dy <= radius * radius;
+};
+
+// Returns [r, g, b, a] for one sample point
+const shade = (x, y, { star, inner, corner }) => {
+  if (corner && !insideRoundedSquare(x, y, corner)) return [0, 0, 0, 0];
+  if (insidePolygon(x, y, star)) return [...(insidePolygon(x, y, inner) ? STAR : STAR_EDGE), 255];
+  const speck = SPECKS.find(([sx, sy, sr]) => (x - sx) ** 2 + (y - sy) ** 2 <= sr * sr);
+  return speck ? [255, 255, 255, 255] : [...skyAt(y), 255];
+};
+
+const render = (size, { starSize, corner }) => {
+  const shape = { star: starPolygon(starSize), inner: starPolygon(starSize * 0.82), corner };
+  const pixels = Buffer.alloc(size * size * 4);
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const sum = [0, 0, 0, 0];
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const [r, g, b, a] = shade((px + (sx + 0.5) / SAMPLES) / size, (py + (sy + 0.5) / SAMPLES) / size, shape);
+          // Premultiply so transparent corner samples don't darken the edge colour
+          sum[0] += r * a; sum[1] += g * a; sum[2] += b * a; sum[3] += a;
+        }
+      }
+      const o = (py * size + px) * 4;
+      const alpha = sum[3] / (SAMPLES * SAMPLES);
+      pixels[o] = sum[3] ? Math.round(sum[0] / sum[3]) : 0;
+      pixels[o + 1] = sum[3] ? Math.round(sum[1] / sum[3]) : 0;
+      pixels[o + 2] = sum[3] ? Math.round(sum[2] / sum[3]) : 0;
+      pixels[o + 3] = Math.round(alpha);
+    }
+  }
+  return pixels;
+};
+
+// ============ PNG ENCODING ============
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const encodePng = (size, pixels) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y++) pixels.copy(raw, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Maskable icons are cropped by the launcher, so they fill the square and keep the star inside the safe zone
+const ICONS = [
+  { file: 'icon-192.png', size: 192, starSize: 0.4, corner: 0.22 },
+  { file: 'icon-512.png', size: 512, starSize: 0.4, corner: 0.22 },
+  { file: 'icon-maskable-512.png', size: 512, starSize: 0.3, corner: 0 },
+  { file: 'apple-touch-icon.png', size: 180, starSize: 0.36, corner: 0 }
+];
+
+await mkdir(outDir, { recursive: true });
+for (const icon of ICONS) {
+  await writeFile(path.join(outDir, icon.file), encodePng(icon.size, render(icon.size, icon)));
+  console.log(`icons/${icon.file}: ${icon.size}x${icon.size}`);
+}
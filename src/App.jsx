@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { storage } from './lib/storage';
+import { DEFAULT_SETTINGS } from './config';
+import { makeId, migrateLeaderboardToProfiles } from './lib/profiles';
+import { getDailyGoalProgress, ACHIEVEMENTS } from './lib/achievements';
+import { LEADERBOARD_OUTBOX_KEY, REMOTE_LEADERBOARD_KEY, mergeEntriesById, sharedLeaderboard } from './lib/sharedLeaderboard';
+import { settingsSync } from './lib/settingsSync';
+import { useServiceWorker } from './hooks/useServiceWorker';
+import { useCustomGames } from './hooks/useCustomGames';
+import { useQuestionSheets } from './hooks/useSheetData';
+import { SheetBasedGame } from './games/SheetBasedGame';
+import { getGameType, getGameTypes, getCategory } from './games/registry';
+import { PracticeMode } from './pages/PracticeMode';
+import { SettingsPage } from './pages/SettingsPage';
+import { ProfilesPage } from './pages/ProfilesPage';
+import { DifficultySelector, GameTilesPage, EnglishLandingPage, MainLandingPage } from './pages/navigation';
+import { Leaderboard } from './pages/Leaderboard';
+import { TrophyShelfPage } from './pages/TrophyShelfPage';
+import { QAPage } from './pages/QAPage';
+
+// ============ MAIN APP ============
+const LearningGalaxy = () => {
+  const [currentSubject, setCurrentSubject] = useState(null);
+  const [englishCategory, setEnglishCategory] = useState(null);
+  const [currentGame, setCurrentGame] = useState(null);
+  const [selectedDifficulty, setSelectedDifficulty] = useState(null);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showQA, setShowQA] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [showPractice, setShowPractice] = useState(false);
+  const [showTrophies, setShowTrophies] = useState(false);
+  const [remoteEntries, setRemoteEntries] = useState([]);
+  const [syncStatus, setSyncStatus] = useState({ enabled: false, pending: 0, error: null });
+  const [settingsSyncStatus, setSettingsSyncStatus] = useState(null);
+  const { updateReady, applyUpdate } = useServiceWorker();
+  // The sheets load once here for every game; registering their own games re-renders the tile pages with them included
+  const sheets = useQuestionSheets(settings);
+  useCustomGames(sheets);
+
+  // Applies the sheet's settings over this device's when they were saved more recently
+  const pullSettings = useCallback(async (local) => {
+    const url = local.settingsSheetUrl?.trim();
+    if (!url) { setSettingsSyncStatus(null); return; }
+    try {
+      const newer = settingsSync.resolve(local, await settingsSync.fetchLatest(url));
+      if (newer) {
+        setSettings(newer);
+        try { await storage.set('learning-galaxy-settings', JSON.stringify(newer)); } catch (e) { }
+        setSettingsSyncStatus({ state: 'ok', message: `loaded settings saved ${new Date(newer.updatedAt).toLocaleString()} from the sheet` });
+      } else {
+        setSettingsSyncStatus({ state: 'ok', message: 'this device already had the newest settings' });
+      }
+    } catch (e) {
+      setSettingsSyncStatus({ state: 'error', message: `couldn't reach the settings sheet (${e.message})` });
+    }
+  }, []);
+
+  const loadData = useCallback(async () => {
+    try {
+      const lb = await storage.get('learning-galaxy-leaderboard');
+      const pr = await storage.get('learning-galaxy-profiles');
+      const saved = lb?.value ? JSON.parse(lb.value) : [];
+      // Shared leaderboards de-duplicate by id, so older entries get one
+      const withIds = saved.map(e => e.id ? e : { ...e, id: makeId() });
+      const migration = migrateLeaderboardToProfiles(withIds, pr?.value ? JSON.parse(pr.value) : []);
+      setLeaderboard(migration.leaderboard);
+      setProfiles(migration.profiles);
+      if (migration.changed || withIds.some((e, i) => e !== saved[i])) {
+        await storage.set('learning-galaxy-leaderboard', JSON.stringify(migration.leaderboard));
+        await storage.set('learning-galaxy-profiles', JSON.stringify(migration.profiles));
+      }
+      const active = await storage.get('learning-galaxy-active-profile');
+      setActiveProfileId(active?.value && migration.profiles.find(p => p.id === active.value) ? active.value : null);
+      const st = await storage.get('learning-galaxy-settings');
+      const localSettings = st?.value ? { ...DEFAULT_SETTINGS, ...JSON.parse(st.value) } : DEFAULT_SETTINGS;
+      setSettings(localSettings);
+      pullSettings(localSettings);
+      const remote = await storage.get(REMOTE_LEADERBOARD_KEY);
+      if (remote?.value) setRemoteEntries(JSON.parse(remote.value));
+    } catch (e) { }
+  }, [pullSettings]);
+
+  useEffect(() => { loadData(); }, [loadData]);
+
+  // Pull everyone's scores, queue any of ours the server is missing, then upload the queue
+  const localEntries = useRef(leaderboard);
+  localEntries.current = leaderboard;
+  const syncLeaderboard = useCallback(async () => {
+    const url = settings.leaderboardUrl?.trim();
+    if (!url) { setSyncStatus({ enabled: false, pending: 0, error: null }); return; }
+    try {
+      const remote = await sharedLeaderboard.fetchEntries(url);
+      const remoteIds = new Set(remote.map(e => e.id));
+      const outbox = await sharedLeaderboard.queue(localEntries.current.filter(e => !remoteIds.has(e.id)));
+      const pending = await sharedLeaderboard.flush(url);
+      const entries = pending ? remote : mergeEntriesById(remote, outbox);
+      setRemoteEntries(entries);
+      setSyncStatus({ enabled: true, pending, error: null });
+      try { await storage.set(REMOTE_LEADERBOARD_KEY, JSON.stringify(entries)); } catch (e) { }
+    } catch (e) {
+      const pending = (await sharedLeaderboard.loadOutbox()).length;
+      setSyncStatus({ enabled: true, pending, error: e.message });
+    }
+  }, [settings.leaderboardUrl]);
+
+  useEffect(() => {
+    syncLeaderboard();
+    window.addEventListener('online', syncLeaderboard);
+    return () => window.removeEventListener('online', syncLeaderboard);
+  }, [syncLeaderboard]);
+
+  const activeProfile = profiles.find(p => p.id === activeProfileId) || null;
+
+  const handleSaveProfiles = async (updated) => {
+    setProfiles(updated);
+    try { await storage.set('learning-galaxy-profiles', JSON.stringify(updated)); } catch (e) { }
+  };
+
+  const handleSelectProfile = async (id) => {
+    setActiveProfileId(id);
+    try { await storage.set('learning-galaxy-active-profile', id || ''); } catch (e) { }
+  };
+
+  // Returns what this game unlocked (badges, daily goal) for the game over screen to announce
+  const handleGameEnd = async (game, stars, streak, { difficulty, answered, correct, levelStreaks } = {}) => {
+    if (!activeProfile) return null;
+    const entry = { id: makeId(), game, profileId: activeProfile.id, name: activeProfile.name, avatar: activeProfile.avatar, stars, streak, difficulty, levelStreaks, answered, correct, date: new Date().toISOString() };
+    const updated = [...leaderboard, entry];
+    setLeaderboard(updated);
+    try { await storage.set('learning-galaxy-leaderboard', JSON.stringify(updated)); } catch (e) { }
+    if (settings.leaderboardUrl?.trim()) {
+      await sharedLeaderboard.queue([entry]);
+      syncLeaderboard();
+    }
+    const before = leaderboard.filter(e => e.profileId === activeProfile.id);
+    const after = [...before, entry];
+    const goalBefore = getDailyGoalProgress(before, settings);
+    return {
+      badges: ACHIEVEMENTS.filter(a => !a.test(before) && a.test(after)),
+      goalMet: !!goalBefore && !goalBefore.met && getDailyGoalProgress(after, settings).met
+    };
+  };
+
+  // Local scores, unsent uploads and the saved copy of the shared board all go; the server keeps what it already has
+  const handleResetLeaderboard = async () => {
+    setLeaderboard([]);
+    setRemoteEntries([]);
+    try {
+      await storage.set('learning-galaxy-leaderboard', JSON.stringify([]));
+      await storage.set(LEADERBOARD_OUTBOX_KEY, JSON.stringify([]));
+      await storage.set(REMOTE_LEADERBOARD_KEY, JSON.stringify([]));
+    } catch (e) { }
+  };
+
+  const sharedEntries = mergeEntriesById(leaderboard, remoteEntries);
+
+  const handleToggleSound = async () => {
+    const updated = { ...settings, soundEnabled: !settings.soundEnabled };
+    setSettings(updated);
+    try { await storage.set('learning-galaxy-settings', JSON.stringify(updated)); } catch (e) { }
+  };
+
+  const totalStars = (activeProfile ? leaderboard.filter(e => e.profileId === activeProfile.id) : leaderboard).reduce((sum, e) => sum + e.stars, 0);
+  const handleBackToHome = () => { setCurrentSubject(null); setEnglishCategory(null); setCurrentGame(null); setSelectedDifficulty(null); };
+
+  if (showSettings) return <SettingsPage settings={settings} setSettings={setSettings} onBack={() => setShowSettings(false)} onImported={() => { loadData(); setShowSettings(false); }} settingsSyncStatus={settingsSyncStatus} />;
+  if (showProfiles) return <ProfilesPage profiles={profiles} activeProfileId={activeProfileId} onSelect={handleSelectProfile} onSaveProfiles={handleSaveProfiles} onBack={() => setShowProfiles(false)} />;
+  if (showLeaderboard) return <Leaderboard onBack={() => setShowLeaderboard(false)} leaderboard={sharedEntries} profiles={profiles} syncStatus={syncStatus} onReset={handleResetLeaderboard} />;
+  if (showQA) return <QAPage onBack={() => setShowQA(false)} leaderboard={sharedEntries} profiles={profiles} />;
+
+  if (showTrophies && activeProfile) return <TrophyShelfPage profile={activeProfile} leaderboard={leaderboard} settings={settings} onBack={() => setShowTrophies(false)} />;
+  if (showPractice) return <PracticeMode profile={activeProfile} settings={settings} sheets={sheets} onGameEnd={handleGameEnd} onToggleSound={handleToggleSound} onBack={() => setShowPractice(false)} />;
+
+  if (currentGame && selectedDifficulty) {
+    const gameInfo = getGameType(currentGame);
+    return <SheetBasedGame onBack={handleBackToHome} difficulty={selectedDifficulty} onGameEnd={handleGameEnd} settings={settings} sheets={sheets} gameId={currentGame} title={gameInfo?.title} icon={gameInfo?.icon} color={gameInfo?.color} variant={gameInfo?.category} profile={activeProfile} onToggleSound={handleToggleSound} />;
+  }
+
+  if (currentGame) return <DifficultySelector game={currentGame} onSelect={setSelectedDifficulty} onBack={() => setCurrentGame(null)} settings={settings} />;
+  const handleGameSelect = (gameId) => {
+    setCurrentGame(gameId);
+    if (settings.defaultDifficulty && settings.defaultDifficulty !== 'None') {
+      setSelectedDifficulty(settings.defaultDifficulty);
+    }
+  };
+
+  // English has a category page first; math goes straight to its one category
+  const tilesCategory = getCategory(currentSubject === 'english' ? englishCategory : currentSubject);
+  if (tilesCategory) {
+    return <GameTilesPage title={tilesCategory.title} icon={tilesCategory.icon} games={getGameTypes({ category: tilesCategory.id })} onSelectGame={handleGameSelect}
+      onBack={currentSubject === 'english' ? () => setEnglishCategory(null) : handleBackToHome} totalStars={totalStars} variant={tilesCategory.id} />;
+  }
+  if (currentSubject === 'english') return <EnglishLandingPage onSelectCategory={setEnglishCategory} onBack={handleBackToHome} totalStars={totalStars} />;
+
+  return <MainLandingPage onSelectSubject={setCurrentSubject} totalStars={totalStars} onOpenLeaderboard={() => { setShowLeaderboard(true); syncLeaderboard(); }} onOpenQA={() => setShowQA(true)} onOpenSettings={() => setShowSettings(true)} onOpenProfiles={() => setShowProfiles(true)} onOpenPractice={() => setShowPractice(true)} onOpenTrophies={() => setShowTrophies(true)} profile={activeProfile} leaderboard={leaderboard} settings={settings} updateReady={updateReady} onApplyUpdate={applyUpdate} />;
+};
+
+export default LearningGalaxy;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { parentPin, makeParentChallenge } from '../lib/parentPin';
+
+// ============ PARENT GATE ============
+// PIN prompt for anything only a parent should do: first run sets the PIN, "Forgot PIN?" swaps in a math challenge
+export const ParentGate = ({ title = 'Grown-ups only', onUnlock, onCancel }) => {
+  const [mode, setMode] = useState('loading');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [challenge, setChallenge] = useState(null);
+  const [challengeAnswer, setChallengeAnswer] = useState('');
+
+  useEffect(() => {
+    parentPin.load().then(record => {
+      setMode(record ? 'enter' : 'setup');
+      setLockedUntil(record?.lockedUntil || 0);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (lockedUntil <= now) return;
+    const timeout = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timeout);
+  }, [lockedUntil, now]);
+
+  const locked = lockedUntil > now;
+  const showFailure = (result, message) => {
+    setLockedUntil(result.lockedUntil);
+    setNow(Date.now());
+    setError(result.lockedUntil ? '' : `${message} ${result.remaining} ${result.remaining === 1 ? 'try' : 'tries'} left.`);
+  };
+
+  const handleSetPin = async () => {
+    if (!/^\d{4,8}$/.test(pin)) { setError('PIN must be 4 to 8 digits'); return; }
+    if (pin !== confirmPin) { setError("PINs don't match"); return; }
+    setBusy(true);
+    try {
+      await parentPin.set(pin);
+      onUnlock();
+    } catch (e) {
+      setError('This browser cannot store a PIN securely (open the app over https)');
+    }
+    setBusy(false);
+  };
+
+  const handleEnter = async () => {
+    if (!pin || locked) return;
+    setBusy(true);
+    const result = await parentPin.verify(pin).catch(() => ({ ok: false, remaining: 0, lockedUntil: 0 }));
+    setBusy(false);
+    setPin('');
+    if (result.ok) onUnlock();
+    else showFailure(result, 'Wrong PIN.');
+  };
+
+  const startChallenge = () => {
+    setChallenge(makeParentChallenge());
+    setChallengeAnswer('');
+    setError('');
+    setMode('challenge');
+  };
+
+  const handleChallenge = async () => {
+    if (!challengeAnswer || locked) return;
+    if (Number(challengeAnswer) === challenge.answer) {
+      setPin(''); setConfirmPin(''); setError('');
+      setMode('reset');
+      return;
+    }
+    showFailure(await parentPin.fail(), 'Not quite.');
+    setChallenge(makeParentChallenge());
+    setChallengeAnswer('');
+  };
+
+  const inputClass = 'w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none mb-3 text-center text-2xl tracking-widest';
+  const buttonClass = 'w-full bg-gradient-to-r from-purple-500 to-indigo-500 text-white px-6 py-3 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50';
+  const minutesLeft = Math.ceil((lockedUntil - now) / 60000);
+
+  return (
+    <div className="flex flex-col items-center w-full max-w-xs relative z-20">
+      <div className="text-6xl mb-4">🔒</div>
+      <h1 className="text-3xl font-bold text-white mb-2 text-center">{title}</h1>
+      {mode === 'loading' && <p className="text-purple-300 text-sm">Loading...</p>}
+      {(mode === 'setup' || mode === 'reset') && (
+        <>
+          <p className="text-purple-300 mb-6 text-sm text-center">{mode === 'setup' ? 'Choose a parent PIN (4-8 digits). You will need it for settings and for deleting data.' : 'Choose a new parent PIN'}</p>
+          <input type="password" inputMode="numeric" placeholder="New PIN" value={pin} onChange={(e) => setPin(e.target.value)} className={inputClass} />
+          <input type="password" inputMode="numeric" placeholder="Repeat PIN" value={confirmPin} onChange={(e) => setConfirmPin(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSetPin()} className={inputClass} />
+          {error && <p className="text-red-400 text-sm mb-3 text-center">{error}</p>}
+          <button onClick={handleSetPin} disabled={busy} className={buttonClass}>Save PIN</button>
+        </>
+      )}
+      {mode === 'enter' && (
+        <>
+          <p className="text-purple-300 mb-6 text-sm">Enter the parent PIN</p>
+          <input type="password" inputMode="numeric" placeholder="PIN" value={pin} disabled={locked} onChange={(e) => setPin(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleEnter()} className={inputClass} />
+          {error && <p className="text-red-400 text-sm mb-3 text-center">{error}</p>}
+          {locked && <p className="text-yellow-300 text-sm mb-3 text-center">Too many wrong tries. Try again in {minutesLeft} min.</p>}
+          <button onClick={handleEnter} disabled={busy || locked} className={buttonClass}>{busy ? 'Checking...' : 'Unlock'}</button>
+          <button onClick={startChallenge} className="mt-4 text-gray-400 text-sm underline cursor-pointer">Forgot PIN?</button>
+        </>
+      )}
+      {mode === 'challenge' && challenge && (
+        <>
+          <p className="text-purple-300 mb-4 text-sm text-center">Solve this to set a new PIN</p>
+          <div className="text-white text-3xl font-bold mb-4">{challenge.text} = ?</div>
+          <input type="text" inputMode="numeric" value={challengeAnswer} disabled={locked} onChange={(e) => setChallengeAnswer(e.target.value.trim())}
+            onKeyDown={(e) => e.key === 'Enter' && handleChallenge()} className={inputClass} />
+          {error && <p className="text-red-400 text-sm mb-3 text-center">{error}</p>}
+          {locked && <p className="text-yellow-300 text-sm mb-3 text-center">Too many wrong tries. Try again in {minutesLeft} min.</p>}
+          <button onClick={handleChallenge} disabled={locked} className={buttonClass}>Check</button>
+          <button onClick={() => { setMode('enter'); setError(''); }} className="mt-4 text-gray-400 text-sm underline cursor-pointer">Back to PIN</button>
+        </>
+      )}
+      {onCancel && <button onClick={onCancel} className="mt-4 bg-gray-600 text-white px-6 py-2 rounded-full font-bold hover:bg-gray-500 cursor-pointer">Cancel</button>}
+    </div>
+  );
+};
+
+// ParentGate over the current page, for single actions like deleting a player
+export const ParentGateOverlay = ({ title, onUnlock, onCancel }) => (
+  <div className="fixed inset-0 bg-black/80 backdrop-blur flex items-center justify-center px-4 z-50">
+    <ParentGate title={title} onUnlock={onUnlock} onCancel={onCancel} />
+  </div>
+);
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { BUNDLED_SHEETS } from '../config';
+import { DIFFICULTY_LEVELS } from '../lib/adaptive';
+import { getWorksheetSources } from '../lib/worksheets';
+import { getGameTypes } from '../games/registry';
+import { validateQuestionSheet } from '../lib/sheetValidator';
+
+// ============ QUESTION SHEET VALIDATION REPORT ============
+export const SheetValidationReport = ({ settings }) => {
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const loadText = async (url, bundledCsv) => {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return { csv: await res.text(), offline: false };
+    } catch (e) {
+      return { csv: bundledCsv, offline: true };
+    }
+  };
+
+  // Every selected tab is checked on its own, then the per-game counts are added up
+  const checkSubject = (subject) => Promise.all(getWorksheetSources(settings, subject).map(async (tab) => {
+    const { csv, offline } = await loadText(tab.url, BUNDLED_SHEETS[subject]);
+    const { issues, counts, customGames } = validateQuestionSheet(subject, csv);
+    return { issues: issues.map(issue => ({ ...issue, tab: tab.name })), counts, customGames, offline };
+  }));
+
+  const runValidation = async () => {
+    setRunning(true);
+    try {
+      const tabs = (await Promise.all([checkSubject('math'), checkSubject('english')])).flat();
+      const counts = {};
+      tabs.forEach(tab => Object.entries(tab.counts).forEach(([game, byLevel]) => {
+        counts[game] = counts[game] || { Easy: 0, Medium: 0, Hard: 0 };
+        DIFFICULTY_LEVELS.forEach(d => { counts[game][d] += byLevel[d]; });
+      }));
+      setReport({
+        issues: tabs.flatMap(tab => tab.issues),
+        counts,
+        customGames: tabs.flatMap(tab => tab.customGames).filter((g, i, all) => all.findIndex(other => other.id === g.id) === i),
+        offline: tabs.some(tab => tab.offline)
+      });
+    } catch (e) {
+      setReport({ failed: e.message });
+    }
+    setRunning(false);
+  };
+
+  const errorCount = report?.issues?.filter(i => i.severity === 'error').length || 0;
+  const warningCount = report?.issues?.filter(i => i.severity === 'warning').length || 0;
+  // The sheets' own games as just checked, rather than whatever was registered when the app loaded
+  const games = [...getGameTypes().filter(g => !g.custom), ...(report?.customGames || [])];
+
+  return (
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+      <h2 className="text-xl font-bold text-white mb-4">🩺 Question Sheet Check</h2>
+      <p className="text-gray-400 text-sm mb-4">Finds rows that would break or be skipped during play</p>
+      <button onClick={runValidation} disabled={running}
+        className="w-full bg-gradient-to-r from-cyan-500 to-blue-500 text-white px-6 py-3 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50">
+        {running ? 'Checking...' : 'Validate question sheets'}
+      </button>
+      {report?.failed && <p className="text-red-400 text-sm mt-4">Could not load sheets: {report.failed}</p>}
+      {report?.issues && (
+        <div className="mt-4 space-y-4">
+          {report.offline && <p className="text-yellow-300 text-xs">Offline: checked the built-in copy of at least one sheet</p>}
+          <div className="flex gap-2 text-sm font-bold">
+            <span className={`px-3 py-1 rounded-full ${errorCount ? 'bg-red-500/30 text-red-300' : 'bg-green-500/30 text-green-300'}`}>{errorCount} errors</span>
+            <span className={`px-3 py-1 rounded-full ${warningCount ? 'bg-yellow-500/30 text-yellow-300' : 'bg-green-500/30 text-green-300'}`}>{warningCount} warnings</span>
+          </div>
+          {report.issues.length > 0 && (
+            <div className="max-h-64 overflow-y-auto space-y-1">
+              {report.issues.map((issue, i) => (
+                <div key={i} className={`text-xs p-2 rounded-lg ${issue.severity === 'error' ? 'bg-red-500/20 text-red-200' : 'bg-yellow-500/20 text-yellow-200'}`}>
+                  <span className="font-bold">{issue.sheet}{issue.tab && ` / ${issue.tab}`} row {issue.line}</span>{issue.game && ` • ${issue.game}`}: {issue.message}
+                </div>
+              ))}
+            </div>
+          )}
+          <table className="w-full text-xs text-white">
+            <thead>
+              <tr className="text-gray-400"><th className="text-left py-1">Game</th>{DIFFICULTY_LEVELS.map(d => <th key={d} className="py-1">{d}</th>)}</tr>
+            </thead>
+            <tbody>
+              {games.map(g => (
+                <tr key={g.id} className="border-t border-gray-700">
+                  <td className="py-1">{g.icon} {g.title}</td>
+                  {DIFFICULTY_LEVELS.map(d => {
+                    const n = report.counts[g.id]?.[d] || 0;
+                    return <td key={d} className={`py-1 text-center font-bold ${n === 0 ? 'text-red-400' : n < 5 ? 'text-yellow-300' : 'text-green-300'}`}>{n}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// ============ SPOKEN TEXT ============
+// Highlights the word being spoken when speech.id matches this text's id
+export const SpokenText = ({ text, id, speech }) => {
+  if (!speech || speech.id !== id || typeof text !== 'string') return text;
+  let pos = 0;
+  return text.split(/(\s+)/).map((part, i) => {
+    const start = pos;
+    pos += part.length;
+    const active = part.trim() && speech.charIndex >= start && speech.charIndex < pos;
+    return <span key={i} className={active ? 'bg-yellow-300 text-gray-900 rounded px-0.5' : ''}>{part}</span>;
+  });
+};
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { TIMER_WARNING_SECONDS } from '../lib/sound';
+import { getQuestionPrompt } from '../games/registry';
+
+// ============ SHARED COMPONENTS ============
+export const StarIcon = ({ className = "w-5 h-5" }) => (
+  <svg className={className} viewBox="0 0 24 24" fill="currentColor">
+    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" />
+  </svg>
+);
+
+export const DifficultyBadge = ({ difficulty }) => {
+  const colors = { Easy: 'bg-green-500', Medium: 'bg-yellow-500', Hard: 'bg-red-500' };
+  return <span className={`${colors[difficulty] || 'bg-gray-500'} text-white text-xs px-2 py-1 rounded-full font-bold`}>{difficulty}</span>;
+};
+
+export const LoadingSpinner = () => (
+  <div className="flex flex-col items-center justify-center">
+    <div className="w-12 h-12 border-4 border-purple-500 border-t-transparent rounded-full animate-spin mb-4"></div>
+    <p className="text-white">Loading questions...</p>
+  </div>
+);
+
+export const Header = ({ timer, streak, stars, onBack, formatTime, difficulty, adaptive, soundEnabled, onToggleSound, readAloud, onToggleReadAloud }) => (
+  <div className="absolute top-4 left-4 right-4 flex justify-between items-center z-20">
+    <div className="flex items-center gap-4">
+      <button onClick={onBack} className="w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 transition-colors cursor-pointer">←</button>
+      <div className="flex items-center bg-gray-900/80 rounded-lg p-2 backdrop-blur">
+        <div>
+          <div className={`text-xl font-bold ${timer <= TIMER_WARNING_SECONDS ? 'text-red-400' : 'text-white'}`}>{formatTime(timer)}</div>
+          <div className="text-xs text-blue-300">TIMER</div>
+        </div>
+        <div className="ml-3 border-l border-gray-600 pl-3">
+          <div className="text-xl font-bold text-orange-400">{streak}</div>
+          <div className="text-xs text-orange-300">STREAK</div>
+        </div>
+        {difficulty && (
+          <div className="ml-3 border-l border-gray-600 pl-3 text-center">
+            <DifficultyBadge difficulty={difficulty} />
+            {adaptive && <div className="text-xs text-purple-300 mt-1">AUTO</div>}
+          </div>
+        )}
+      </div>
+    </div>
+    <div className="flex items-center gap-2">
+      {onToggleReadAloud && (
+        <button onClick={onToggleReadAloud} className={`w-10 h-10 rounded-full flex items-center justify-center text-lg transition-colors cursor-pointer ${readAloud ? 'bg-yellow-500/80 hover:bg-yellow-400' : 'bg-gray-900/80 hover:bg-gray-700'}`}
+          title={readAloud ? 'Stop reading questions aloud' : 'Read questions aloud'}>🗣️</button>
+      )}
+      {onToggleSound && (
+        <button onClick={onToggleSound} className="w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-lg hover:bg-gray-700 transition-colors cursor-pointer mr-2"
+          title={soundEnabled ? 'Mute sounds' : 'Turn sounds on'}>{soundEnabled ? '🔊' : '🔇'}</button>
+      )}
+      <div className="bg-yellow-500 text-white px-3 py-1 rounded-l-full font-bold flex items-center gap-1"><StarIcon className="w-4 h-4" /></div>
+      <div className="bg-gray-200 text-gray-800 px-4 py-1 rounded-r-full font-bold min-w-16 text-center">{stars}</div>
+    </div>
+  </div>
+);
+
+// Multi-part answers that were partly right (feedback.credit) get a yellow score instead of the red cross
+export const AnswerVerdict = ({ feedback, className }) => (
+  <div className={`text-xl font-bold ${className} ${feedback.correct ? 'text-green-400' : feedback.credit > 0 ? 'text-yellow-300' : 'text-red-400'}`}>
+    {feedback.correct ? '✓ Correct!' : `${feedback.credit > 0 ? `◐ ${Math.round(feedback.credit * 100)}% right.` : '✗'} Answer: ${feedback.answer}`}
+  </div>
+);
+
+export const ExplanationPanel = ({ feedback, question, onContinue }) => (
+  <div className="w-full max-w-lg mt-4 bg-gray-900/90 rounded-2xl p-5 backdrop-blur relative z-20" style={{ animation: 'slideIn 0.3s ease-out' }}>
+    <AnswerVerdict feedback={feedback} className="mb-3" />
+    {question.know_more && <p className="text-white mb-2">💡 {question.know_more}</p>}
+    {question.hint && <p className="text-gray-400 text-sm mb-4">Hint: {question.hint}</p>}
+    <button onClick={onContinue} className="w-full bg-gradient-to-r from-purple-500 to-indigo-500 text-white px-6 py-3 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer">
+      Next Question →
+    </button>
+  </div>
+);
+
+export const GameOverScreen = ({ stars, streak, onRestart, onBack, profile, scoreSaved, missed = [], gameId, news }) => (
+  <div className="text-center bg-gray-900/80 p-8 rounded-2xl backdrop-blur max-w-sm mx-4 relative z-30 max-h-full overflow-y-auto">
+    <h2 className="text-4xl font-bold text-white mb-2">Game Over!</h2>
+    <div className="flex items-center justify-center gap-2 mb-4">
+      <StarIcon className="w-10 h-10 text-yellow-400" />
+      <span className="text-5xl font-bold text-yellow-400">{stars}</span>
+    </div>
+    <p className="text-purple-300 mb-6">Best Streak: {streak}</p>
+    {news?.goalMet && <p className="text-green-300 font-bold mb-4">🎯 Daily goal reached! Great job!</p>}
+    {news?.badges?.length > 0 && (
+      <div className="mb-6 bg-yellow-500/20 border border-yellow-500/50 rounded-xl p-4">
+        <h3 className="text-yellow-300 font-bold mb-2">🏅 New badge{news.badges.length > 1 ? 's' : ''}!</h3>
+        {news.badges.map(b => (
+          <div key={b.id} className="flex items-center gap-3 text-left" style={{ animation: 'slideIn 0.4s ease-out' }}>
+            <span className="text-3xl">{b.icon}</span>
+            <div>
+              <div className="text-white font-bold">{b.title}</div>
+              <div className="text-gray-300 text-xs">{b.description}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+    {missed.length > 0 && (
+      <div className="mb-6 text-left">
+        <h3 className="text-white font-bold mb-2">📝 Let's review ({missed.length} missed)</h3>
+        <div className="space-y-2 max-h-48 overflow-y-auto">
+          {missed.map((m, i) => (
+            <div key={i} className="bg-gray-800/70 rounded-lg p-3 text-sm">
+              <div className="text-white font-medium">{getQuestionPrompt(m.question.game_type || gameId, m.question)}</div>
+              <div className="text-red-300">You chose: {m.selected || 'no answer'}</div>
+              <div className="text-green-400">Answer: {m.correct}</div>
+              {m.question.know_more && <div className="text-gray-300 mt-1">💡 {m.question.know_more}</div>}
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+    {!profile && <p className="text-gray-400 text-sm mb-6">Pick a player on the home screen to save your scores</p>}
+    {profile && scoreSaved && <p className="text-green-400 mb-6">✓ Score saved for {profile.avatar} {profile.name}!</p>}
+    <div className="flex gap-4 justify-center">
+      <button onClick={onBack} className="bg-gray-600 text-white px-6 py-3 rounded-full font-bold hover:bg-gray-500 cursor-pointer">HOME</button>
+      <button onClick={onRestart} className="bg-gradient-to-r from-orange-500 to-yellow-500 text-white px-6 py-3 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer">PLAY AGAIN</button>
+    </div>
+  </div>
+);
+
+export const SpaceBackground = ({ children, variant = 'default' }) => {
+  const [bubbles] = useState(() => Array.from({ length: 30 }, (_, i) => ({
+    id: i, x: Math.random() * 100, y: Math.random() * 100, size: Math.random() * 3 + 1, duration: Math.random() * 3 + 2
+  })));
+  const gradients = {
+    default: 'linear-gradient(180deg, #1a0a2e 0%, #2d1b4e 50%, #4a2c7a 100%)',
+    english: 'linear-gradient(180deg, #0a1628 0%, #1e3a5f 50%, #2d5a87 100%)',
+    grammar: 'linear-gradient(180deg, #1a1a2e 0%, #2e1f5e 50%, #4a3c7a 100%)',
+    vocabulary: 'linear-gradient(180deg, #1a2a1a 0%, #2e4e2e 50%, #3a6a3a 100%)',
+    comprehension: 'linear-gradient(180deg, #0a2020 0%, #1e4a4a 50%, #2d6a6a 100%)',
+    math: 'linear-gradient(180deg, #1a0a2e 0%, #2d1b4e 50%, #4a2c7a 100%)'
+  };
+  return (
+    <div className="relative w-full h-screen overflow-hidden" style={{ background: gradients[variant] }}>
+      <div className="pointer-events-none absolute inset-0">
+        {bubbles.map(bubble => (
+          <div key={bubble.id} className="absolute rounded-full bg-white opacity-60"
+            style={{ left: `${bubble.x}%`, top: `${bubble.y}%`, width: bubble.size, height: bubble.size, animation: `twinkle ${bubble.duration}s ease-in-out infinite` }} />
+        ))}
+      </div>
+      <div className="relative z-10 h-full">{children}</div>
+      <style>{`
+        @keyframes twinkle { 0%, 100% { opacity: 0.3; } 50% { opacity: 1; } }
+        @keyframes float { 0%, 100% { transform: translateY(0); } 50% { transform: translateY(-10px); } }
+        @keyframes slideIn { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
+        @keyframes shake { 0%, 100% { transform: translateX(0); } 25% { transform: translateX(-5px); } 75% { transform: translateX(5px); } }
+      `}</style>
+    </div>
+  );
+};
+
+// Shown on the home screen rather than over a game, so an update never interrupts a round
+export const UpdateBanner = ({ onUpdate }) => (
+  <div className="absolute top-20 left-1/2 -translate-x-1/2 z-40 w-[90%] max-w-md flex items-center gap-3 bg-gray-900/95 border border-cyan-400/60 rounded-2xl px-4 py-3 shadow-2xl" style={{ animation: 'slideIn 0.3s ease-out' }}>
+    <span className="text-2xl">✨</span>
+    <span className="flex-1 text-white text-sm">A new version of Learning Galaxy is ready.</span>
+    <button onClick={onUpdate} className="bg-gradient-to-r from-cyan-500 to-blue-500 px-4 py-2 rounded-full font-bold text-white text-sm hover:scale-105 transition-all cursor-pointer">
+      Update
+    </button>
+  </div>
+);
+
+export const formatTime = (s) => `${Math.floor(s / 60).toString().padStart(2, '0')}:${(s % 60).toString().padStart(2, '0')}`;
@@ -0,0 +1,25 @@
+import mathSheetCsv from '../MATH_GOOGLE_SHEET_DATA.csv';
+import englishSheetCsv from '../ENGLISH_GOOGLE_SHEET_DATA.csv';
+
+// ============ GOOGLE SHEETS CONFIG ============
+export const DEFAULT_SETTINGS = {
+  mathSheetUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQr3nlml1JTPMR4ROfCKarFSayMFxYyOwZO-v_A0INlG1oMloM5wm0wltURipcy0A/pub?output=csv',
+  englishSheetUrl: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRses_Y74IwZ6nFvmwMygKruq0HgQZZmOEYSdf3sE0pInXXByyU0uSf8KPY8Z6Giw/pub?output=csv',
+  mathWorksheets: [],
+  englishWorksheets: [],
+  selectedMathWorksheet: [],
+  selectedEnglishWorksheet: [],
+  defaultDifficulty: 'None',
+  soundEnabled: true,
+  explainCorrectAnswers: false,
+  typedMathAnswers: false,
+  generatedQuestions: 'refill',
+  dailyGoalType: 'games',
+  dailyGoalTarget: 3,
+  leaderboardUrl: '',
+  settingsSheetUrl: '',
+  updatedAt: ''
+};
+
+// Copies of the repo's sample sheets compiled into the app, used when a sheet can't load and there is no cache yet
+export const BUNDLED_SHEETS = { math: mathSheetCsv, english: englishSheetCsv };
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+
+// ============ ANSWER KEYPAD ============
+// extraKeys: what the game needs beyond the digits (its typedAnswer.keys). The game keys it on the question number
+// so each question starts empty
+export const AnswerKeypad = ({ extraKeys = [], disabled, color, onSubmit }) => {
+  const [value, setValue] = useState('');
+  const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', ...extraKeys, '0'];
+  const press = (key) => { if (!disabled) setValue(v => (v + key).slice(0, 12)); };
+  const submit = () => { if (!disabled && value.trim()) onSubmit(value); };
+
+  return (
+    <div className="relative z-20">
+      <input type="text" inputMode="none" value={value} disabled={disabled} placeholder="Type your answer"
+        onChange={(e) => setValue(e.target.value.slice(0, 12))} onKeyDown={(e) => e.key === 'Enter' && submit()}
+        className="w-full mb-3 p-4 rounded-xl bg-gray-800 text-white text-3xl font-bold text-center border-2 border-gray-600 focus:border-yellow-400 outline-none" />
+      <div className="grid grid-cols-4 gap-2">
+        {keys.map(key => (
+          <button key={key} onClick={() => press(key)} disabled={disabled}
+            className="p-3 rounded-xl bg-gray-700 text-white text-2xl font-bold hover:bg-gray-600 cursor-pointer disabled:opacity-50">{key === ' ' ? '␣' : key}</button>
+        ))}
+        <button onClick={() => setValue(v => v.slice(0, -1))} disabled={disabled}
+          className="p-3 rounded-xl bg-gray-700 text-white text-2xl font-bold hover:bg-gray-600 cursor-pointer disabled:opacity-50">⌫</button>
+        <button onClick={submit} disabled={disabled || !value.trim()}
+          className={`col-span-2 p-3 rounded-xl bg-gradient-to-r ${color} text-white text-xl font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50`}>✓ Check</button>
+      </div>
+    </div>
+  );
+};
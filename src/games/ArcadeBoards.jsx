@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+
+// ============ ARCADE BOARDS ============
+// Both boards start over on each new questionNumber, since a one-row sheet shows the same row object every time
+
+// Calls onFrame(dtSeconds) every animation frame while running
+const useGameLoop = (onFrame, running) => {
+  const frameRef = useRef(onFrame);
+  frameRef.current = onFrame;
+  useEffect(() => {
+    if (!running) return;
+    let id;
+    let last = performance.now();
+    const tick = (now) => {
+      frameRef.current(Math.min(now - last, 100) / 1000);
+      last = now;
+      id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(id);
+  }, [running]);
+};
+
+export const ALIEN_LIVES = 3;
+const ALIEN_FALL_SECONDS = { Easy: 14, Medium: 11, Hard: 8 };
+const BUBBLE_RISE_SECONDS = { Easy: 9, Medium: 7, Hard: 5 };
+export const BUBBLE_WRONG_PENALTY_SECONDS = 3;
+
+const EquationCard = ({ question }) => (
+  <div className="bg-gray-900/80 rounded-2xl p-4 backdrop-blur mb-3 text-center">
+    <div className="text-white text-4xl font-bold">{question.num1} {question.operation} {question.num2} = ?</div>
+    {question.hint && <p className="text-gray-400 text-sm mt-1">{question.hint}</p>}
+  </div>
+);
+
+// Aliens carrying the options descend; zap the right one before they reach the ground
+export const AlienInvasionBoard = ({ question, questionNumber, options, correct, level, running, lives, feedback, speech, onZap, onLand }) => {
+  const [drop, setDrop] = useState(0);
+  const dropRef = useRef(0);
+  const landed = useRef(false);
+  const offsets = useMemo(() => options.map(() => Math.random() * 12), [questionNumber]);
+
+  useEffect(() => { dropRef.current = 0; setDrop(0); landed.current = false; }, [questionNumber]);
+
+  useGameLoop((dt) => {
+    dropRef.current += dt * 100 / (ALIEN_FALL_SECONDS[level] || ALIEN_FALL_SECONDS.Medium);
+    setDrop(dropRef.current);
+    if (dropRef.current + Math.max(...offsets) >= 100 && !landed.current) {
+      landed.current = true;
+      onLand();
+    }
+  }, running);
+
+  return (
+    <div className="w-full max-w-lg">
+      <EquationCard question={question} />
+      <div className="flex justify-center gap-1 mb-2">{Array.from({ length: ALIEN_LIVES }, (_, i) => <span key={i} className={i < lives ? '' : 'opacity-20'}>❤️</span>)}</div>
+      <div className="relative h-80 w-full rounded-2xl bg-black/30 border border-green-500/30 overflow-hidden z-20">
+        {options.map((opt, i) => {
+          const isAnswer = opt === correct;
+          return (
+            <button key={i} onClick={() => onZap(opt)}
+              className="absolute flex flex-col items-center cursor-pointer -translate-x-1/2"
+              style={{ left: `${(i + 0.5) * (100 / options.length)}%`, top: `${Math.min(drop + offsets[i], 100) * 0.8}%` }}>
+              <span className="text-4xl" style={{ animation: `float ${1.5 + i * 0.2}s ease-in-out infinite` }}>{feedback && isAnswer ? '💥' : '👾'}</span>
+              <span className={`px-3 py-1 rounded-full text-lg font-bold ${feedback ? (isAnswer ? 'bg-green-500 text-white' : 'bg-gray-700 text-gray-400') : speech?.id === `option-${i}` ? 'bg-yellow-300 text-gray-900' : 'bg-green-600 text-white'}`}>{opt}</span>
+            </button>
+          );
+        })}
+        <div className="absolute bottom-0 left-0 right-0 h-6 bg-gradient-to-t from-green-900 to-transparent text-center text-sm">🏠🏢🏠🏫🏠🏢🏠</div>
+      </div>
+    </div>
+  );
+};
+
+// Bubbles carrying the options float up and wobble; pop the right one, wrong pops cost time
+export const BubblePopBoard = ({ question, questionNumber, options, correct, level, running, feedback, speech, popped, onPop }) => {
+  const [bubbles, setBubbles] = useState([]);
+
+  useEffect(() => {
+    setBubbles(options.map((opt, i) => ({
+      opt, baseX: 12 + i * (76 / Math.max(options.length - 1, 1)), y: -10 - Math.random() * 40,
+      speed: (100 / (BUBBLE_RISE_SECONDS[level] || BUBBLE_RISE_SECONDS.Medium)) * (0.8 + Math.random() * 0.4),
+      phase: Math.random() * Math.PI * 2, t: 0
+    })));
+  }, [questionNumber]);
+
+  useGameLoop((dt) => {
+    setBubbles(prev => prev.map(b => {
+      const y = b.y + b.speed * dt;
+      return { ...b, t: b.t + dt, y: y > 110 ? -15 : y };
+    }));
+  }, running);
+
+  return (
+    <div className="w-full max-w-lg">
+      <EquationCard question={question} />
+      <div className="relative h-80 w-full rounded-2xl bg-cyan-900/20 border border-cyan-400/30 overflow-hidden z-20">
+        {bubbles.map((b, i) => {
+          const isAnswer = b.opt === correct;
+          const burst = popped === b.opt;
+          return (
+            <button key={i} onClick={() => onPop(b.opt)} disabled={burst}
+              className={`absolute w-20 h-20 -translate-x-1/2 rounded-full flex items-center justify-center text-xl font-bold border-2 border-white/50 cursor-pointer transition-transform ${burst ? 'scale-150 opacity-0' : ''} ${feedback ? (isAnswer ? 'bg-green-500/80 text-white' : 'bg-gray-600/60 text-gray-300') : speech?.id === `option-${i}` ? 'bg-yellow-300/90 text-gray-900' : 'bg-cyan-400/40 text-white'}`}
+              style={{ left: `${b.baseX + Math.sin(b.t * 2 + b.phase) * 5}%`, bottom: `${b.y * 0.8}%`, boxShadow: 'inset -6px -6px 12px rgba(255,255,255,0.3)' }}>
+              {burst && !isAnswer ? '💥' : b.opt}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
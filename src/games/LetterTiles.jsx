@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { SpokenText } from '../components/SpokenText';
+import { usePointerDrag } from '../hooks/usePointerDrag';
+import { lettersCredit } from '../lib/partialCredit';
+
+// ============ LETTER TILES ============
+// A letter-tile keyboard for spelling the missing word. Tap a tile to put it in the next empty box, or drag it
+// onto a box; tap a filled box to send its letter back. Spaces, dashes and apostrophes in the word come pre-filled.
+// Harder levels mix in letters that aren't in the word. Key it on the question number so every question starts afresh
+// (the tiles are dealt once, even if an adaptive round changes level while the answer shows).
+const EXTRA_LETTERS = { Easy: 0, Medium: 2, Hard: 4 };
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+const isLetter = (ch) => /\p{L}/u.test(ch);
+
+// Two or more underscores mark the gap in a sentence; once answered it shows the word
+export const BLANK_PATTERN = /_{2,}/;
+export const fillBlank = (sentence, word) => (BLANK_PATTERN.test(sentence) ? sentence.replace(BLANK_PATTERN, word) : `${sentence} ${word}`);
+
+export const BlankSentence = ({ text, word, feedback, speech }) => (
+  <div className="text-white text-2xl font-medium text-center">
+    {feedback ? fillBlank(text, word) : <SpokenText text={text} id="prompt" speech={speech} />}
+  </div>
+);
+
+export const LetterTiles = ({ word, level, feedback, color, onScore }) => {
+  const chars = [...word.trim()];
+  const [tiles] = useState(() => {
+    const letters = chars.filter(isLetter).map(ch => ch.toLowerCase());
+    const extras = Array.from({ length: EXTRA_LETTERS[level] || 0 }, () => ALPHABET[Math.floor(Math.random() * ALPHABET.length)]);
+    return [...letters, ...extras].sort(() => Math.random() - 0.5);
+  });
+  // slots[i] = tile index in that box, null when empty; boxes for non-letters stay undefined
+  const [slots, setSlots] = useState(() => chars.map(ch => (isLetter(ch) ? null : undefined)));
+
+  const place = (tile, box) => {
+    if (feedback) return;
+    setSlots(current => {
+      const target = box ?? current.indexOf(null);
+      if (target < 0 || current[target] === undefined) return current;
+      return current.map((t, i) => (i === target ? tile : t === tile ? null : t));
+    });
+  };
+  const { bind, draggingId } = usePointerDrag((tile, box) => place(tile, Number(box)));
+  const unplace = (box) => { if (!feedback) setSlots(current => current.map((t, i) => (i === box ? null : t))); };
+
+  const used = new Set(slots.filter(t => t !== null && t !== undefined));
+  const full = slots.length > 0 && slots.every(t => t !== null);
+  const spelled = slots.map((t, i) => (t === undefined ? chars[i] : t === null ? ' ' : tiles[t])).join('');
+  const check = () => { if (!feedback && full) onScore(spelled, lettersCredit(spelled, word)); };
+
+  return (
+    <div className="relative z-20">
+      <div className="flex flex-wrap justify-center gap-1 mb-4">
+        {chars.map((ch, i) => (isLetter(ch) ? (
+          <button key={i} data-drop={i} onClick={() => unplace(i)} disabled={!!feedback}
+            className={`w-10 h-12 rounded-lg border-2 text-2xl font-bold uppercase cursor-pointer ${feedback
+              ? (tiles[slots[i]] === ch.toLowerCase() ? 'bg-green-500 border-green-300 text-white' : 'bg-red-500/70 border-red-300 text-white')
+              : slots[i] !== null && slots[i] !== undefined ? 'bg-indigo-600 border-indigo-300 text-white' : 'bg-gray-800 border-gray-500 text-white'}`}>
+            {slots[i] !== null && slots[i] !== undefined ? tiles[slots[i]] : ''}
+          </button>
+        ) : (
+          <div key={i} className="w-4 h-12 flex items-end justify-center text-2xl font-bold text-white">{ch}</div>
+        )))}
+      </div>
+      <div className="flex flex-wrap justify-center gap-2 mb-4">
+        {tiles.map((letter, t) => (
+          <button key={t} onClick={() => place(t)} disabled={!!feedback || used.has(t)} {...bind(t)}
+            className={`touch-none select-none w-12 h-12 rounded-xl text-2xl font-bold uppercase cursor-pointer transition-colors disabled:opacity-30 ${draggingId === t ? 'bg-yellow-400 text-gray-900' : 'bg-amber-500 text-white hover:bg-amber-400'}`}>
+            {letter}
+          </button>
+        ))}
+      </div>
+      <button onClick={check} disabled={!!feedback || !full}
+        className={`w-full p-3 rounded-xl bg-gradient-to-r ${color} text-white text-xl font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50`}>✓ Check</button>
+    </div>
+  );
+};
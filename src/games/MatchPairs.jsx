@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { usePointerDrag } from '../hooks/usePointerDrag';
+import { pairsCredit } from '../lib/partialCredit';
+
+// ============ MATCH PAIRS ============
+// pairs: [[left, right]] in sheet order. The right-hand words are shuffled; drag one onto its partner, or tap a
+// word on each side. Joined words share a colour; joining a word again moves it. Check unlocks once all are joined.
+// Key it on the question number so every question starts afresh.
+const LINK_COLORS = ['bg-pink-500', 'bg-cyan-500', 'bg-amber-500', 'bg-lime-500', 'bg-violet-500', 'bg-orange-500'];
+
+// Sheet cells hold one pair each, written "left = right"
+export const parsePair = (cell) => {
+  const at = (cell || '').indexOf('=');
+  return at < 0 ? null : [cell.slice(0, at).trim(), cell.slice(at + 1).trim()];
+};
+
+export const MatchPairs = ({ pairs, feedback, color, onScore }) => {
+  const [rights] = useState(() => pairs.map(([, r], i) => ({ text: r, i })).sort(() => Math.random() - 0.5));
+  // links[leftIndex] = rightIndex
+  const [links, setLinks] = useState({});
+  const [selected, setSelected] = useState(null);
+
+  const link = (left, right) => {
+    setLinks(current => {
+      const next = Object.fromEntries(Object.entries(current).filter(([, r]) => r !== right));
+      next[left] = right;
+      return next;
+    });
+    setSelected(null);
+  };
+  const { bind, draggingId } = usePointerDrag((right, left) => link(Number(left), right));
+
+  // A tap on each side, in either order, joins them
+  const tap = (side, i) => {
+    if (feedback) return;
+    if (selected && selected.side !== side) {
+      if (side === 'left') link(i, selected.i); else link(selected.i, i);
+    } else {
+      setSelected(selected?.side === side && selected.i === i ? null : { side, i });
+    }
+  };
+
+  const leftOf = (right) => Object.keys(links).find(l => links[l] === right);
+  const colorOf = (left) => (left === undefined || links[left] === undefined ? null : LINK_COLORS[Number(left) % LINK_COLORS.length]);
+  const isRight = (left) => pairs[left][1] === pairs[links[left]]?.[1];
+  const tileClass = (isSelected, linkColor, correct) => (feedback
+    ? (correct ? 'bg-green-500 text-white' : 'bg-red-500/70 text-white')
+    : isSelected ? 'bg-yellow-400 text-gray-900' : linkColor ? `${linkColor} text-white` : 'bg-gray-700 text-white hover:bg-gray-600');
+
+  const allLinked = pairs.every((_, l) => links[l] !== undefined);
+  const check = () => {
+    if (feedback || !allLinked) return;
+    const joined = pairs.map(([left], l) => [left, pairs[links[l]][1]]);
+    onScore(joined.map(([l, r]) => `${l} = ${r}`).join(', '), pairsCredit(joined, pairs));
+  };
+
+  return (
+    <div className="relative z-20">
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="flex flex-col gap-2">
+          {pairs.map(([left], l) => (
+            <button key={l} data-drop={l} onClick={() => tap('left', l)} disabled={!!feedback}
+              className={`p-3 rounded-xl font-bold transition-colors cursor-pointer ${tileClass(selected?.side === 'left' && selected.i === l, colorOf(l), isRight(l))}`}>
+              {left}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-col gap-2">
+          {rights.map(({ text, i }) => (
+            <button key={i} onClick={() => tap('right', i)} disabled={!!feedback} {...bind(i)}
+              className={`touch-none select-none p-3 rounded-xl font-bold transition-colors cursor-pointer ${tileClass((selected?.side === 'right' && selected.i === i) || draggingId === i, colorOf(leftOf(i)), leftOf(i) !== undefined && isRight(Number(leftOf(i))))}`}>
+              {text}
+            </button>
+          ))}
+        </div>
+      </div>
+      <button onClick={check} disabled={!!feedback || !allLinked}
+        className={`w-full p-3 rounded-xl bg-gradient-to-r ${color} text-white text-xl font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50`}>✓ Check</button>
+    </div>
+  );
+};
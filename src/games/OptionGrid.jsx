@@ -0,0 +1,16 @@
+import React from 'react';
+import { SpokenText } from '../components/SpokenText';
+
+// ============ OPTION GRID ============
+// The answer buttons most game types share: a 2x2 grid of big buttons, or a list for longer sentences.
+// idleClass colours the buttons until an answer is picked; then the right one turns green.
+export const OptionGrid = ({ options, correct, feedback, speech, onAnswer, idleClass, textSize = 'text-lg', list = false }) => (
+  <div className={`grid ${list ? 'grid-cols-1 gap-2' : 'grid-cols-2 gap-3'} relative z-20`}>
+    {options.map((opt, i) => (
+      <button key={i} onClick={() => onAnswer(opt)}
+        className={`${list ? 'p-3 text-left font-medium' : `p-4 ${textSize} font-bold`} rounded-xl transition-all cursor-pointer ${feedback ? (opt === correct ? 'bg-green-500 text-white' : 'bg-gray-700 text-gray-400')
+          : `text-white ${idleClass}`
+          }`}><SpokenText text={opt} id={`option-${i}`} speech={speech} /></button>
+    ))}
+  </div>
+);
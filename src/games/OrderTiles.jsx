@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { SpokenText } from '../components/SpokenText';
+import { usePointerDrag } from '../hooks/usePointerDrag';
+import { orderCredit } from '../lib/partialCredit';
+
+// ============ ORDER TILES ============
+// Drag-to-order answers (sentence words, story events). items arrive shuffled (the game type's options);
+// drag a tile onto another to move it there, or tap one tile and then the place it should go.
+// Once answered, tiles in the right place turn green. Key it on the question number so every question starts afresh.
+
+// Sheet cells list the items in the right order separated by |, or just by spaces for a sentence
+export const splitOrderItems = (text) => {
+  const t = (text || '').trim();
+  return (t.includes('|') ? t.split('|') : t.split(/\s+/)).map(item => item.trim()).filter(Boolean);
+};
+
+export const OrderTiles = ({ items, answer, feedback, speech, color, onScore, separator = ' ', list = false }) => {
+  // A shuffle that happens to be solved already is turned by one
+  const [order, setOrder] = useState(() => {
+    const start = items.map((_, i) => i);
+    const solved = items.length > 1 && items.every((item, i) => item === answer[i]);
+    return solved ? [...start.slice(1), start[0]] : start;
+  });
+  const [selected, setSelected] = useState(null);
+
+  const move = (from, to) => {
+    if (from === to) return;
+    setOrder(current => {
+      const next = current.filter(i => i !== from);
+      next.splice(current.indexOf(to), 0, from);
+      return next;
+    });
+    setSelected(null);
+  };
+  const { bind, draggingId } = usePointerDrag((from, to) => move(from, Number(to)));
+
+  const tap = (i) => {
+    if (feedback) return;
+    if (selected === null) setSelected(i);
+    else if (selected === i) setSelected(null);
+    else move(selected, i);
+  };
+
+  const arranged = order.map(i => items[i]);
+  const check = () => { if (!feedback) onScore(arranged.join(separator), orderCredit(arranged, answer)); };
+
+  return (
+    <div className="relative z-20">
+      <div className={`flex ${list ? 'flex-col' : 'flex-wrap justify-center'} gap-2 mb-4 bg-gray-900/60 rounded-2xl p-3`}>
+        {order.map((i, pos) => (
+          <button key={i} data-drop={i} onClick={() => tap(i)} disabled={!!feedback} {...bind(i)}
+            className={`touch-none select-none rounded-xl font-bold transition-colors cursor-pointer ${list ? 'p-3 text-left text-sm' : 'px-4 py-3 text-lg'} ${feedback
+              ? (items[i] === answer[pos] ? 'bg-green-500 text-white' : 'bg-red-500/70 text-white')
+              : selected === i || draggingId === i ? 'bg-yellow-400 text-gray-900' : 'bg-indigo-600 text-white hover:bg-indigo-500'}`}>
+            {list && <span className="opacity-60 mr-2">{pos + 1}.</span>}
+            <SpokenText text={items[i]} id={`option-${i}`} speech={speech} />
+          </button>
+        ))}
+      </div>
+      <button onClick={check} disabled={!!feedback}
+        className={`w-full p-3 rounded-xl bg-gradient-to-r ${color} text-white text-xl font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50`}>✓ Check</button>
+    </div>
+  );
+};
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { getQuestionKey, attemptLog } from '../lib/attemptLog';
+import { getQuestionSkill } from '../lib/progressStats';
+import { randomScheduler } from '../lib/schedulers';
+import { DIFFICULTY_LEVELS, getRoundTime, getStarMultiplier, loadGamePref, saveGamePref, loadAdaptiveLevel, saveAdaptiveLevel, stepAdaptiveLevel } from '../lib/adaptive';
+import { getSelectedWorksheets } from '../lib/worksheets';
+import { describeSheetSource } from '../hooks/useSheetData';
+import { STREAK_MILESTONES, TIMER_WARNING_SECONDS, sound } from '../lib/sound';
+import { READ_ALOUD_KEY, speechSupported, getSpeechSegments, speakSegments, stopSpeaking } from '../lib/readAloud';
+import { DifficultyBadge, LoadingSpinner, Header, AnswerVerdict, ExplanationPanel, GameOverScreen, SpaceBackground, formatTime } from '../components/shared';
+import { answersMatch } from '../lib/answers';
+import { AnswerKeypad } from './AnswerKeypad';
+import { PRACTICE_GAME, getGameType, getGameTypes } from './registry';
+
+// A partly right answer (ordering, matching, spelling) at least this good keeps the streak going
+const STREAK_KEEPING_CREDIT = 0.5;
+
+// ============ GENERIC GAME COMPONENT (Sheet-Integrated) ============
+// Runs the round (timer, scoring, adaptive level, read-aloud); each row is drawn by its game type's Question component.
+// sheets are the question sheets App already loaded (useQuestionSheets).
+export const SheetBasedGame = ({ onBack, difficulty, onGameEnd, settings, sheets, gameId, title, icon, color, variant, questionType, profile, scheduler = randomScheduler, questionFilter, onToggleSound }) => {
+  const isPractice = gameId === PRACTICE_GAME.id;
+  const gameType = getGameType(gameId);
+  // Practice rounds mix rows from every game in every sheet
+  const subjects = isPractice ? [...new Set(getGameTypes().map(g => g.sheet))] : [gameType?.sheet];
+  // Lives only matter to game types that declare them (arcade boards); practice rows may be any of those
+  const maxLives = (isPractice ? Math.max(0, ...getGameTypes().map(g => g.lives || 0)) : gameType?.lives) || 0;
+  const usedSheets = subjects.map(subject => sheets[subject]).filter(Boolean);
+  const worksheetNames = subjects.flatMap(subject => getSelectedWorksheets(settings, subject).map(tab => tab.name));
+  const allQuestions = usedSheets.flatMap(sh => (isPractice ? sh.rows : sh.rows.filter(row => row.game_type === gameId)));
+  const loading = usedSheets.some(sh => sh.loading);
+  const error = usedSheets.find(sh => sh.error)?.error || null;
+  const sourceLabel = [...new Set(usedSheets.filter(sh => sh.source).map(describeSheetSource))].join(' + ');
+
+  const isAdaptive = difficulty === 'Adaptive';
+  const [level, setLevel] = useState(isAdaptive ? DIFFICULTY_LEVELS[0] : difficulty);
+  const [levelNotice, setLevelNotice] = useState(null);
+  const adaptiveRun = useRef({ fast: 0, misses: 0 });
+  // Best run of correct answers at each level; adaptive rounds change level mid-streak, so badges need it per level
+  const levelRun = useRef({ level: null, count: 0, best: {} });
+
+  const [stars, setStars] = useState(0);
+  const [timer, setTimer] = useState(getRoundTime(level));
+  const [gameActive, setGameActive] = useState(false);
+  const [gameOver, setGameOver] = useState(false);
+  const [currentQ, setCurrentQ] = useState(null);
+  // Counts questions shown, so a row drawn twice in a row (small pools) still starts afresh
+  const [questionNumber, setQuestionNumber] = useState(0);
+  const [streak, setStreak] = useState(0);
+  const [maxStreak, setMaxStreak] = useState(0);
+  const [feedback, setFeedback] = useState(null);
+  const [scoreSaved, setScoreSaved] = useState(false);
+  const [usedIndices, setUsedIndices] = useState(new Set());
+  const [missed, setMissed] = useState([]);
+  const [answered, setAnswered] = useState(0);
+  const [gameEndNews, setGameEndNews] = useState(null);
+  const [lives, setLives] = useState(maxLives);
+  const shownAt = useRef(Date.now());
+  const [readAloud, setReadAloud] = useState(false);
+  const [speech, setSpeech] = useState(null);
+
+  useEffect(() => {
+    loadGamePref(READ_ALOUD_KEY, profile?.id, gameId, false).then(setReadAloud);
+    return stopSpeaking;
+  }, [profile?.id, gameId]);
+
+  const handleToggleReadAloud = () => {
+    const next = !readAloud;
+    setReadAloud(next);
+    saveGamePref(READ_ALOUD_KEY, profile?.id, gameId, next);
+    if (!next) { stopSpeaking(); setSpeech(null); }
+  };
+
+  // Adaptive rounds start where this player left off in this game
+  useEffect(() => {
+    if (!isAdaptive) return;
+    loadAdaptiveLevel(profile?.id, gameId).then(saved => { setLevel(saved); setTimer(getRoundTime(saved)); });
+  }, [isAdaptive, profile?.id, gameId]);
+
+  const questions = allQuestions
+    .filter(q => !q.difficulty || q.difficulty === level || level === 'All')
+    .filter(q => !questionFilter || questionFilter(q));
+
+  // 'refill' only generates once every sheet row has been asked this round; 'mix' alternates; 'replace' never uses the sheet
+  const generator = gameType?.generator;
+  const generatorMode = generator ? settings.generatedQuestions || 'off' : 'off';
+
+  const getNextQuestion = useCallback(() => {
+    const useGenerated = generatorMode === 'replace' || (generatorMode !== 'off' && (questions.length === 0
+      || (generatorMode === 'refill' ? usedIndices.size >= questions.length : Math.random() < 0.5)));
+    if (useGenerated) return generator(gameId, level);
+    if (questions.length === 0) return null;
+    const used = usedIndices.size >= questions.length ? new Set() : usedIndices;
+    const realIdx = scheduler.next(questions, used);
+    setUsedIndices(new Set([...used, realIdx]));
+    return questions[realIdx];
+  }, [questions, usedIndices, scheduler, generatorMode, level]);
+
+  const generateQuestion = useCallback(() => {
+    const q = getNextQuestion();
+    if (q) { setCurrentQ(q); setQuestionNumber(n => n + 1); shownAt.current = Date.now(); }
+  }, [getNextQuestion]);
+  // Delayed callbacks must see the question pool of the latest render (the level may have changed)
+  const generateRef = useRef(generateQuestion);
+  generateRef.current = generateQuestion;
+
+  // Practice rows each bring their own game type. Options are shuffled once per question so they don't jump on re-render.
+  const rowType = currentQ ? getGameType(currentQ.game_type || gameId) : null;
+  const displayOptions = useMemo(() => {
+    if (!currentQ || !rowType) return [];
+    const options = rowType.options(currentQ);
+    return rowType.shuffleOptions ? [...options].sort(() => Math.random() - 0.5) : options;
+  }, [currentQ, questionNumber]);
+
+  // Typed answers replace the option buttons, so the choices aren't read out either
+  const typedAnswers = !!settings.typedMathAnswers && !!rowType?.typedAnswer;
+
+  const speakQuestion = () => {
+    if (currentQ && rowType) speakSegments(getSpeechSegments(rowType, currentQ, typedAnswers ? [] : displayOptions), setSpeech);
+  };
+
+  useEffect(() => {
+    if (gameActive && readAloud && currentQ && !feedback) speakQuestion();
+  }, [currentQ, questionNumber, gameActive, readAloud]);
+
+  // Timer stays paused while the child reads an explanation or listens to the question
+  const paused = !!feedback?.explain || !!speech;
+  useEffect(() => {
+    if (paused) return;
+    if (gameActive && timer > 0) {
+      const interval = setInterval(() => setTimer(t => t - 1), 1000);
+      return () => clearInterval(interval);
+    } else if (timer === 0 && gameActive) {
+      setGameActive(false);
+      setGameOver(true);
+    }
+  }, [gameActive, timer, paused]);
+
+  useEffect(() => {
+    if (gameActive && !paused && timer > 0 && timer <= TIMER_WARNING_SECONDS) sound.play('tick', settings.soundEnabled);
+  }, [timer]);
+
+  const startGame = () => {
+    setStars(0);
+    setTimer(getRoundTime(level));
+    setStreak(0);
+    setMaxStreak(0);
+    setUsedIndices(new Set());
+    setMissed([]);
+    setAnswered(0);
+    setGameEndNews(null);
+    setLives(maxLives);
+    setFeedback(null);
+    setLevelNotice(null);
+    adaptiveRun.current = { fast: 0, misses: 0 };
+    levelRun.current = { level: null, count: 0, best: {} };
+    scheduler.reset?.();
+    setGameActive(true);
+    setGameOver(false);
+    setScoreSaved(false);
+    generateQuestion();
+  };
+
+  // isCorrect is passed when the game checks the answer itself (typed answers); otherwise the game type's checker decides.
+  // credit is the share of a multi-part answer that was right; only a full answer counts as correct.
+  const handleAnswer = (selected, isCorrect = rowType.checkAnswer(selected, currentQ), credit = isCorrect ? 1 : 0) => {
+    if (!gameActive || feedback) return;
+    stopSpeaking();
+    setSpeech(null);
+    const rowGame = rowType.id;
+    const correct = rowType.correctAnswer(currentQ);
+    const responseMs = Date.now() - shownAt.current;
+    scheduler.onAnswer?.(currentQ, isCorrect);
+    attemptLog.record({
+      game: rowGame, profileId: profile?.id || null, difficulty: level, questionKey: getQuestionKey(rowGame, currentQ),
+      skill: getQuestionSkill(rowGame, currentQ), selected, correct: isCorrect, ...(credit > 0 && credit < 1 ? { credit } : {}),
+      responseMs, timestamp: new Date().toISOString()
+    });
+    const partial = !isCorrect && credit >= STREAK_KEEPING_CREDIT;
+    sound.play(!isCorrect && !partial ? 'wrong' : isCorrect && STREAK_MILESTONES.includes(streak + 1) ? 'streak' : 'correct', settings.soundEnabled);
+    setAnswered(n => n + 1);
+    const run = levelRun.current;
+    if (isCorrect) {
+      run.count = run.level === level ? run.count + 1 : 1;
+      run.level = level;
+      run.best[level] = Math.max(run.best[level] || 0, run.count);
+    } else if (!partial) run.count = 0;
+    if (isCorrect) {
+      setStars(s => s + Math.floor((15 + streak * 3) * getStarMultiplier(level)));
+      setStreak(s => { const n = s + 1; setMaxStreak(m => Math.max(m, n)); return n; });
+    } else {
+      // Partly right earns its share of the base stars, without the streak bonus
+      if (credit > 0) setStars(s => s + Math.floor(15 * credit * getStarMultiplier(level)));
+      if (!partial) setStreak(0);
+      setMissed(m => [...m, { question: currentQ, selected, correct }]);
+    }
+    setLevelNotice(null);
+    if (isAdaptive) {
+      const step = stepAdaptiveLevel(level, adaptiveRun.current, isCorrect, responseMs);
+      adaptiveRun.current = step.run;
+      if (step.level !== level) {
+        setLevelNotice(DIFFICULTY_LEVELS.indexOf(step.level) > DIFFICULTY_LEVELS.indexOf(level) ? 'up' : 'down');
+        setLevel(step.level);
+        setUsedIndices(new Set());
+      }
+    }
+    const explain = !!(currentQ.know_more || currentQ.hint) && (!isCorrect || settings.explainCorrectAnswers);
+    setFeedback({ correct: isCorrect, answer: correct, explain, credit });
+    if (!explain) setTimeout(() => { setFeedback(null); generateRef.current(); }, 800);
+  };
+
+  const handleScore = (given, credit) => handleAnswer(given, credit >= 1, Math.max(0, Math.min(1, credit)));
+
+  // Game types with lives (arcade boards): letting a question go unanswered is a miss and costs a life
+  const handleMiss = () => {
+    handleAnswer('', false);
+    setLives(l => l - 1);
+  };
+
+  useEffect(() => {
+    if (maxLives && lives <= 0 && gameActive) {
+      setGameActive(false);
+      setGameOver(true);
+    }
+  }, [lives]);
+
+  const handleTimePenalty = (seconds) => setTimer(t => Math.max(1, t - seconds));
+
+  const handleContinue = () => {
+    setFeedback(null);
+    setLevelNotice(null);
+    generateQuestion();
+  };
+
+  // Scores go straight to the active profile when the round ends
+  useEffect(() => {
+    if (!gameOver) return;
+    stopSpeaking();
+    sound.play('gameOver', settings.soundEnabled);
+    if (isAdaptive) saveAdaptiveLevel(profile?.id, gameId, level);
+    if (scoreSaved || !profile) return;
+    setScoreSaved(true);
+    Promise.resolve(onGameEnd(gameId, stars, maxStreak, { difficulty, answered, correct: answered - missed.length, levelStreaks: levelRun.current.best })).then(news => setGameEndNews(news || null));
+  }, [gameOver]);
+
+  // The row's game type draws it; see games/registry.js for the Question props
+  const renderQuestion = () => {
+    if (!currentQ) return <p className="text-white">No questions available</p>;
+    if (!rowType) return <p className="text-white">Question type not supported</p>;
+    const { Question } = rowType;
+    const correct = rowType.correctAnswer(currentQ);
+    const keypad = typedAnswers ? <AnswerKeypad key={questionNumber} extraKeys={rowType.typedAnswer.keys} color={color} disabled={!!feedback}
+      onSubmit={(typed) => handleAnswer(typed, answersMatch(rowType.typedAnswer.parse, typed, correct))} /> : null;
+    return <Question question={currentQ} options={displayOptions} correct={correct} feedback={feedback} speech={speech} color={color} keypad={keypad}
+      questionNumber={questionNumber} level={level} running={gameActive && !feedback && !paused} lives={lives} onAnswer={handleAnswer} onScore={handleScore} onMiss={handleMiss} onTimePenalty={handleTimePenalty} />;
+  };
+
+  if (loading) return <SpaceBackground variant={variant}><div className="flex items-center justify-center h-full"><LoadingSpinner /></div></SpaceBackground>;
+  if (error) return <SpaceBackground variant={variant}><div className="flex flex-col items-center justify-center h-full"><p className="text-red-400 mb-4">Error: {error}</p><button onClick={onBack} className="bg-gray-600 text-white px-6 py-3 rounded-full cursor-pointer">Back</button></div></SpaceBackground>;
+
+  return (
+    <SpaceBackground variant={variant}>
+      <Header timer={timer} streak={streak} stars={stars} onBack={onBack} formatTime={formatTime} difficulty={level} adaptive={isAdaptive} soundEnabled={settings.soundEnabled} onToggleSound={onToggleSound}
+        readAloud={readAloud} onToggleReadAloud={speechSupported() ? handleToggleReadAloud : null} />
+      <div className="flex flex-col items-center justify-center h-full pt-20 px-4">
+        {!gameActive && !gameOver && (
+          <div className="text-center">
+            <h1 className="text-5xl font-bold text-white mb-2">{icon} {title}</h1>
+            <DifficultyBadge difficulty={isAdaptive ? `Adaptive • ${level}` : level} />
+            {worksheetNames.length > 0 && <p className="text-purple-300 text-sm mt-2">📄 {worksheetNames.join(' + ')}</p>}
+            <p className="text-gray-300 my-4">
+              {generatorMode === 'replace' ? 'Fresh questions made for every round' : `${questions.length} questions loaded ${sourceLabel}`}
+              {generatorMode === 'refill' && ' + new ones when they run out'}
+              {generatorMode === 'mix' && ' mixed with new ones'}
+            </p>
+            <button onClick={startGame} disabled={questions.length === 0 && generatorMode === 'off'}
+              className={`bg-gradient-to-r ${color} text-white px-8 py-4 rounded-full text-xl font-bold hover:scale-105 transition-transform shadow-lg cursor-pointer disabled:opacity-50`}>
+              {questions.length > 0 || generatorMode !== 'off' ? 'START GAME' : 'No Questions Available'}
+            </button>
+          </div>
+        )}
+        {gameOver && <GameOverScreen stars={stars} streak={maxStreak} onRestart={startGame} onBack={onBack} profile={profile} scoreSaved={scoreSaved} missed={missed} gameId={gameId} news={gameEndNews} />}
+        {gameActive && currentQ && speechSupported() && (
+          <button onClick={speakQuestion} disabled={!!feedback}
+            className="mb-3 bg-gray-900/80 text-white px-4 py-2 rounded-full text-sm font-bold hover:bg-gray-700 cursor-pointer relative z-20 disabled:opacity-50">
+            {speech ? '🔊 Reading...' : '🔊 replay'}
+          </button>
+        )}
+        {gameActive && renderQuestion()}
+        {feedback?.explain && gameActive && <ExplanationPanel feedback={feedback} question={currentQ} onContinue={handleContinue} />}
+        {gameActive && levelNotice && <div className="mt-2 text-center text-sm font-bold text-purple-300">{levelNotice === 'up' ? `⬆️ Level up! Now ${level}` : `⬇️ Let's try ${level} for a bit`}</div>}
+        {feedback && !feedback.explain && <AnswerVerdict feedback={feedback} className="mt-4 text-center" />}
+      </div>
+    </SpaceBackground>
+  );
+};
@@ -0,0 +1,168 @@
+import React from 'react';
+import { SpokenText } from '../components/SpokenText';
+import { OptionGrid } from './OptionGrid';
+import { BLANK_PATTERN, BlankSentence, LetterTiles } from './LetterTiles';
+import { sentenceBuilder } from './types/sentenceBuilder';
+import { wordMatch } from './types/wordMatch';
+import { spellingBee } from './types/spellingBee';
+import { GAME_CATEGORIES, PRACTICE_GAME, completeGameType, getGameType } from './registry';
+
+// ============ SHEET-DEFINED GAMES ============
+// Parents can add games without code: a "#games" block at the top of a question tab (see lib/csv.js) declares
+//   game_type, title, icon, color, category, layout, description
+// and rows with that game_type further down (or in any tab of the same sheet) are its questions.
+// Each layout is a generic Question component plus the registry fields that go with it.
+const ChoiceQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      {question.text2 && <div className="text-xs text-purple-400 mb-2">{question.text2}</div>}
+      <div className="text-white text-2xl font-medium text-center"><SpokenText text={question.text1} id="prompt" speech={speech} /></div>
+    </div>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-gradient-to-r from-purple-600 to-indigo-600 hover:scale-105" />
+  </div>
+);
+
+const PassageQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-2xl">
+    <div className="bg-gray-900/80 rounded-2xl p-4 backdrop-blur mb-4 max-h-40 overflow-y-auto">
+      <p className="text-white text-sm leading-relaxed whitespace-pre-line"><SpokenText text={question.text1} id="passage" speech={speech} /></p>
+    </div>
+    <div className="bg-teal-900/60 rounded-2xl p-4 mb-4">
+      <div className="text-white text-lg font-medium">❓ <SpokenText text={question.text2} id="question" speech={speech} /></div>
+    </div>
+    <OptionGrid list options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-teal-600 hover:bg-teal-500" />
+  </div>
+);
+
+const TrueFalseQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      <div className="text-white text-2xl font-medium text-center"><SpokenText text={question.text1} id="prompt" speech={speech} /></div>
+    </div>
+    <p className="text-purple-200 text-center mb-4">True or false?</p>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      textSize="text-2xl" idleClass="bg-gradient-to-r from-blue-600 to-cyan-600 hover:scale-105" />
+  </div>
+);
+
+// With option columns the gap is filled by picking a word; without them it is spelled on letter tiles
+const FillBlankQuestion = ({ question, options, correct, feedback, speech, color, level, questionNumber, onAnswer, onScore }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      {question.text2 && <div className="text-xs text-purple-400 mb-2">{question.text2}</div>}
+      <BlankSentence text={question.text1} word={correct} feedback={feedback} speech={speech} />
+    </div>
+    <p className="text-purple-200 text-center mb-4">Fill in the blank:</p>
+    {options.length > 0
+      ? <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+        idleClass="bg-gradient-to-r from-green-600 to-emerald-600 hover:scale-105" />
+      : <LetterTiles key={questionNumber} word={correct} level={level} feedback={feedback} color={color} onScore={onScore} />}
+  </div>
+);
+
+// The interactive built-in games double as layouts, minus their tile and menu fields
+const layoutOf = ({ id, title, icon, color, difficulty, description, subject, category, ...layout }) => layout;
+const OPTION_FIELDS = ['option1', 'option2', 'option3', 'option4'];
+
+const TRUE_FALSE = ['True', 'False'];
+
+// Rows for the choice layouts: text1 (+ text2), answer, option1-4, difficulty. order, match and fill-blank
+// without options follow Sentence Builder, Word Match and Spelling Bee.
+export const CUSTOM_GAME_LAYOUTS = {
+  choice: {
+    schema: { required: ['text1', 'answer'] },
+    shuffleOptions: true,
+    Question: ChoiceQuestion,
+    speech: (q) => [{ id: 'prompt', text: q.text1 }]
+  },
+  passage: {
+    schema: { required: ['text1', 'text2', 'answer'] },
+    shuffleOptions: true,
+    Question: PassageQuestion,
+    prompt: (q) => q.text2,
+    speech: (q) => [{ id: 'passage', text: q.text1 }, { id: 'question', text: q.text2 }]
+  },
+  // answer is true/false (or yes/no) in any case; option columns are ignored
+  'true-false': {
+    schema: { required: ['text1', 'answer'] },
+    choices: TRUE_FALSE,
+    correctAnswer: (q) => ({ true: 'True', yes: 'True', false: 'False', no: 'False' }[q.answer.trim().toLowerCase()] || q.answer),
+    Question: TrueFalseQuestion,
+    speech: (q) => [{ id: 'prompt', text: q.text1 }, { id: 'lead', text: 'True or false?' }]
+  },
+  'fill-blank': {
+    schema: { required: ['text1', 'answer'] },
+    shuffleOptions: true,
+    Question: FillBlankQuestion,
+    speech: (q) => [{ id: 'prompt', text: q.text1.replace(BLANK_PATTERN, 'blank') }],
+    validate: (q) => {
+      const options = OPTION_FIELDS.map(f => q[f]).filter(Boolean);
+      if (options.length === 0) return spellingBee.validate(q);
+      if (!options.includes(q.answer)) return [{ severity: 'error', message: `Answer "${q.answer}" is not one of the choices (${options.join(' | ')})` }];
+      return options.length < 2 ? [{ severity: 'error', message: 'Only 1 answer option; leave all four blank to spell it instead' }] : [];
+    }
+  },
+  order: layoutOf(sentenceBuilder),
+  match: layoutOf(wordMatch)
+};
+
+// Colour names a sheet may use; anything else falls back to purple. The classes are spelled out so Tailwind keeps them.
+export const CUSTOM_GAME_COLORS = {
+  purple: 'from-purple-500 to-indigo-500',
+  blue: 'from-blue-500 to-cyan-500',
+  green: 'from-green-500 to-emerald-500',
+  teal: 'from-teal-500 to-cyan-600',
+  orange: 'from-orange-500 to-amber-500',
+  red: 'from-red-500 to-rose-500',
+  pink: 'from-pink-500 to-fuchsia-500',
+  yellow: 'from-yellow-400 to-orange-500'
+};
+
+const GAME_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+// Turns one sheet's declarations into complete game types (registry defaults filled in). Returns { gameTypes, issues } where issues use the
+// validator's { line, game, severity, message } shape; a declaration with an error is left out.
+export const buildCustomGameTypes = (declarations, sheet, lines = []) => {
+  const gameTypes = [];
+  const issues = [];
+  const categories = GAME_CATEGORIES.filter(c => c.subject === sheet);
+  declarations.forEach((decl, i) => {
+    const id = decl.game_type || '';
+    const report = (severity, message) => issues.push({ line: lines[i], game: id, severity, message });
+    if (!id) return report('error', 'Game declaration has no game_type');
+    if (!GAME_ID.test(id)) return report('error', `game_type "${id}" may only use lowercase letters, digits and dashes`);
+    const builtIn = getGameType(id);
+    if ((builtIn && !builtIn.custom) || id === PRACTICE_GAME.id) return report('error', `"${id}" is a built-in game; pick another game_type`);
+    if (gameTypes.some(g => g.id === id)) return report('error', `"${id}" is declared twice`);
+    const layoutName = (decl.layout || '').toLowerCase();
+    const layout = CUSTOM_GAME_LAYOUTS[layoutName];
+    if (!layout) return report('error', `Unknown layout "${decl.layout}" (use ${Object.keys(CUSTOM_GAME_LAYOUTS).join('/')})`);
+
+    let category = GAME_CATEGORIES.find(c => c.id === (decl.category || '').toLowerCase());
+    if (!category) {
+      category = categories[0];
+      report('warning', `${decl.category ? `Unknown category "${decl.category}"` : 'No category'}; shown under ${category.title}`);
+    }
+    const colorName = (decl.color || '').toLowerCase();
+    if (colorName && !CUSTOM_GAME_COLORS[colorName]) report('warning', `Unknown color "${decl.color}" (use ${Object.keys(CUSTOM_GAME_COLORS).join('/')})`);
+    if (!decl.title) report('warning', 'No title; the tile shows the game_type');
+
+    gameTypes.push(completeGameType({
+      ...layout,
+      id,
+      title: decl.title || id,
+      icon: decl.icon || '⭐',
+      color: CUSTOM_GAME_COLORS[colorName] || CUSTOM_GAME_COLORS.purple,
+      difficulty: 'All',
+      description: decl.description || 'From your question sheet',
+      subject: category.subject,
+      category: category.id,
+      sheet,
+      layout: layoutName,
+      custom: true
+    }));
+  });
+  return { gameTypes, issues };
+};
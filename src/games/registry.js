@@ -0,0 +1,86 @@
+import { BUILT_IN_GAME_TYPES } from './types';
+
+// ============ GAME REGISTRY ============
+// Each game type is one module in games/types/ that declares everything about it:
+//   id, title, icon, color, difficulty, description  - how its tile looks
+//   subject, category                                - where the tile goes (see GAME_CATEGORIES)
+//   sheet                                            - which question sheet its rows live in (defaults to subject)
+//   schema: { required, operations }                 - what the sheet validator checks on each row
+//   validate(q)                                      - [{ severity, message }] replacing the answer/option checks
+//   Question                                         - component that renders one row (props below)
+//   choices | options(q), correctAnswer(q), checkAnswer(selected, q), shuffleOptions - the answer buttons
+//   prompt(q), speech(q), speakOption(opt)           - text for review lists and read-aloud
+//   typedAnswer: { parse, keys }, generator, lives   - optional keypad answers, generated questions, arcade lives
+//   custom                                           - set on games declared in a question sheet (games/customGames.jsx)
+// Question props: { question, options, correct, feedback, speech, color, keypad, questionNumber, level, running, lives, onAnswer, onScore, onMiss, onTimePenalty }
+// questionNumber goes up with every question shown (the same row can come twice); state that belongs to one question resets on it
+// onAnswer(selected) is checked by checkAnswer; multi-part answers call onScore(given, credit) with credit from 0 to 1
+export const SUBJECTS = [
+  { id: 'math', title: 'Math', icon: '🔢' },
+  { id: 'english', title: 'English', icon: '📚' }
+];
+
+// Tile pages, in menu order; the id doubles as the SpaceBackground variant
+export const GAME_CATEGORIES = [
+  { id: 'math', subject: 'math', title: 'Math Galaxy', icon: '🔢', color: 'from-purple-500 to-indigo-700' },
+  { id: 'grammar', subject: 'english', title: 'Grammar', icon: '✏️', color: 'from-purple-600 to-indigo-700' },
+  { id: 'vocabulary', subject: 'english', title: 'Vocabulary', icon: '📖', color: 'from-green-600 to-emerald-700' },
+  { id: 'comprehension', subject: 'english', title: 'Comprehension', icon: '🔍', color: 'from-teal-600 to-cyan-700' },
+];
+
+export const PRACTICE_GAME = { id: 'practice-mistakes', title: 'Practice My Mistakes', icon: '🧠', color: 'from-fuchsia-500 to-pink-500', difficulty: 'All', description: 'Review missed questions!' };
+
+const OPTION_FIELDS = ['option1', 'option2', 'option3', 'option4'];
+
+// Sheet rows without a game-specific prompt read as an equation when they have one, else their first text column
+const defaultPrompt = (q) => (q.num1 && q.operation && q.num2 ? `${q.num1} ${q.operation} ${q.num2} = ?` : q.text1 || q.num1 || '');
+
+const gameTypes = new Map();
+
+// Fills in the defaults above without registering, for checking a definition that isn't live yet
+export const completeGameType = (definition) => {
+  const correctAnswer = definition.correctAnswer || ((q) => q.answer);
+  return {
+    sheet: definition.subject,
+    schema: { required: ['answer'] },
+    options: (q) => definition.choices || OPTION_FIELDS.map(f => q[f]).filter(Boolean),
+    checkAnswer: (selected, q) => selected === correctAnswer(q),
+    prompt: defaultPrompt,
+    ...definition,
+    correctAnswer
+  };
+};
+
+export const registerGameType = (definition) => {
+  const { id, subject, category, Question } = definition;
+  if (!id || !subject || !category || !Question) throw new Error(`Game type ${id || '(no id)'} needs id, subject, category and Question`);
+  if (gameTypes.has(id) || id === PRACTICE_GAME.id) throw new Error(`Game type "${id}" is already registered`);
+  const gameType = completeGameType(definition);
+  gameTypes.set(id, gameType);
+  return gameType;
+};
+
+// Sheet-defined games are swapped as a set each time the sheets load; a built-in game keeps its id
+export const setCustomGameTypes = (definitions) => {
+  [...gameTypes.values()].filter(g => g.custom).forEach(g => gameTypes.delete(g.id));
+  return definitions.filter(d => !gameTypes.has(d.id)).map(d => registerGameType({ ...d, custom: true }));
+};
+
+export const getGameType = (id) => gameTypes.get(id) || null;
+
+export const getGameTypes = ({ subject, category } = {}) =>
+  [...gameTypes.values()].filter(g => (!subject || g.subject === subject) && (!category || g.category === category));
+
+// Anything a saved score can belong to: every game type plus the practice round
+export const getAllGames = () => [...gameTypes.values(), PRACTICE_GAME];
+export const getGameInfo = (id) => getGameType(id) || (id === PRACTICE_GAME.id ? PRACTICE_GAME : null);
+
+export const getCategory = (id) => GAME_CATEGORIES.find(c => c.id === id) || null;
+
+// Short text describing a sheet row, used wherever a question is shown outside its game card
+export const getQuestionPrompt = (gameId, q) => {
+  if (!q) return '';
+  return (getGameType(gameId)?.prompt || defaultPrompt)(q);
+};
+
+BUILT_IN_GAME_TYPES.forEach(registerGameType);
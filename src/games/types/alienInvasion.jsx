@@ -0,0 +1,19 @@
+import React from 'react';
+import { generateArithmetic } from '../../lib/questionGenerators';
+import { ALIEN_LIVES, AlienInvasionBoard } from '../ArcadeBoards';
+
+// ============ ALIEN INVASION ============
+// Same rows as Space Math on an animated board: an alien reaching the ground is a miss and costs a life
+const AlienInvasionQuestion = ({ question, questionNumber, options, correct, feedback, speech, level, running, lives, onAnswer, onMiss }) => (
+  <AlienInvasionBoard question={question} questionNumber={questionNumber} options={options} correct={correct} level={level} running={running}
+    lives={lives} feedback={feedback} speech={speech} onZap={(opt) => onAnswer(opt)} onLand={onMiss} />
+);
+
+export const alienInvasion = {
+  id: 'alien-invasion', title: 'Alien Invasion', icon: '👾', color: 'from-green-500 to-cyan-500', difficulty: 'Hard', description: 'Zap aliens!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'num2', 'operation', 'answer'] },
+  Question: AlienInvasionQuestion,
+  lives: ALIEN_LIVES,
+  generator: generateArithmetic
+};
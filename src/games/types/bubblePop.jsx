@@ -0,0 +1,28 @@
+import React, { useState, useEffect } from 'react';
+import { generateArithmetic } from '../../lib/questionGenerators';
+import { BUBBLE_WRONG_PENALTY_SECONDS, BubblePopBoard } from '../ArcadeBoards';
+
+// ============ BUBBLE POP ============
+// Same rows as Space Math on an animated board: a wrong pop bursts the bubble and takes time off the clock
+const BubblePopQuestion = ({ question, questionNumber, options, correct, feedback, speech, level, running, onAnswer, onTimePenalty }) => {
+  const [popped, setPopped] = useState(null);
+  useEffect(() => setPopped(null), [questionNumber]);
+
+  const handlePop = (opt) => {
+    if (feedback) return;
+    setPopped(opt);
+    if (opt !== correct) onTimePenalty(BUBBLE_WRONG_PENALTY_SECONDS);
+    onAnswer(opt);
+  };
+
+  return <BubblePopBoard question={question} questionNumber={questionNumber} options={options} correct={correct} level={level} running={running}
+    feedback={feedback} speech={speech} popped={popped} onPop={handlePop} />;
+};
+
+export const bubblePop = {
+  id: 'bubble-pop', title: 'Bubble Pop', icon: '🫧', color: 'from-cyan-500 to-blue-500', difficulty: 'Easy', description: 'Pop answers!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'num2', 'operation', 'answer'] },
+  Question: BubblePopQuestion,
+  generator: generateArithmetic
+};
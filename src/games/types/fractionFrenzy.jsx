@@ -0,0 +1,27 @@
+import React from 'react';
+import { generateFraction } from '../../lib/questionGenerators';
+import { parseFractionAnswer } from '../../lib/answers';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ FRACTION FRENZY ============
+// Rows: num1 = text description, num2 = operation type, answer = correct answer
+const FractionFrenzyQuestion = ({ question, options, correct, feedback, speech, keypad, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      <div className="text-yellow-400 text-sm mb-2 capitalize">{question.num2}</div>
+      <div className="text-white text-2xl font-bold mb-4">{question.num1}</div>
+      {question.hint && <p className="text-gray-400 text-sm">{question.hint}</p>}
+    </div>
+    {keypad || <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      textSize="text-2xl" idleClass="bg-gradient-to-r from-amber-500 to-orange-500 hover:scale-105" />}
+  </div>
+);
+
+export const fractionFrenzy = {
+  id: 'fraction-frenzy', title: 'Fraction Frenzy', icon: '🍕', color: 'from-amber-500 to-orange-500', difficulty: 'Medium', description: 'Master fractions!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'answer'] },
+  Question: FractionFrenzyQuestion,
+  typedAnswer: { parse: parseFractionAnswer, keys: ['/', ' '] },
+  generator: generateFraction
+};
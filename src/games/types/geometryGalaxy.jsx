@@ -0,0 +1,34 @@
+import React from 'react';
+import { generateGeometry } from '../../lib/questionGenerators';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ GEOMETRY GALAXY ============
+// Rows: operation = identify / sides (shape name in text1) or perimeter / area (square side in num1)
+const SHAPE_SYMBOLS = { triangle: '△', square: '□', circle: '○', rectangle: '▭', pentagon: '⬠' };
+
+const GeometryGalaxyQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      <div className="text-pink-400 text-sm mb-2">{question.operation}</div>
+      {question.operation === 'identify' && <div className="text-8xl mb-4">{SHAPE_SYMBOLS[question.text1] || '⬡'}</div>}
+      {question.operation === 'sides' && <div className="text-white text-2xl mb-4">How many sides does a {question.text1} have?</div>}
+      {(question.operation === 'perimeter' || question.operation === 'area') && (
+        <>
+          <div className="text-white text-xl mb-4">{question.operation === 'perimeter' ? 'Perimeter' : 'Area'} of square with side {question.num1}?</div>
+          <div className="w-20 h-20 bg-pink-500/30 border-4 border-pink-400 mx-auto flex items-center justify-center text-white text-lg font-bold">{question.num1}</div>
+        </>
+      )}
+    </div>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-gradient-to-r from-pink-500 to-purple-500 hover:scale-105" />
+  </div>
+);
+
+export const geometryGalaxy = {
+  id: 'geometry-galaxy', title: 'Geometry Galaxy', icon: '📐', color: 'from-pink-500 to-purple-500', difficulty: 'Medium', description: 'Learn shapes!',
+  subject: 'math', category: 'math',
+  schema: { required: ['operation', 'answer'], operations: ['identify', 'sides', 'perimeter', 'area'] },
+  Question: GeometryGalaxyQuestion,
+  prompt: (q) => q.text1 || q.num1 || '',
+  generator: generateGeometry
+};
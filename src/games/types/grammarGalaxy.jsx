@@ -0,0 +1,26 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ GRAMMAR GALAXY ============
+// Rows: text1 = sentence, text2 = rule label, answer + option1-4
+const GrammarGalaxyQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      <div className="text-xs text-purple-400 mb-2">{question.text2}</div>
+      <div className="text-white text-2xl font-medium text-center">"<SpokenText text={question.text1} id="prompt" speech={speech} />"</div>
+    </div>
+    <p className="text-purple-200 text-center mb-4">Choose the correct word:</p>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-gradient-to-r from-purple-600 to-indigo-600 hover:scale-105" />
+  </div>
+);
+
+export const grammarGalaxy = {
+  id: 'grammar-galaxy', title: 'Grammar Galaxy', icon: '🛸', color: 'from-purple-500 to-indigo-500', difficulty: 'Medium', description: 'Fix grammar!',
+  subject: 'english', category: 'grammar',
+  schema: { required: ['text1', 'answer'] },
+  Question: GrammarGalaxyQuestion,
+  prompt: (q) => q.text1,
+  speech: (q) => [{ id: 'prompt', text: q.text1 }, { id: 'lead', text: 'Choose the correct word.' }]
+};
@@ -0,0 +1,30 @@
+import { spaceMath } from './spaceMath';
+import { alienInvasion } from './alienInvasion';
+import { bubblePop } from './bubblePop';
+import { planetHopper } from './planetHopper';
+import { fractionFrenzy } from './fractionFrenzy';
+import { timeWarp } from './timeWarp';
+import { moneyMaster } from './moneyMaster';
+import { geometryGalaxy } from './geometryGalaxy';
+import { grammarGalaxy } from './grammarGalaxy';
+import { wordClassWarp } from './wordClassWarp';
+import { punctuationPop } from './punctuationPop';
+import { tenseTraveler } from './tenseTraveler';
+import { synonymStars } from './synonymStars';
+import { antonymAsteroids } from './antonymAsteroids';
+import { storyNebula } from './storyNebula';
+import { inferenceInvestigator } from './inferenceInvestigator';
+import { sentenceBuilder } from './sentenceBuilder';
+import { wordMatch } from './wordMatch';
+import { spellingBee } from './spellingBee';
+import { storySequence } from './storySequence';
+
+// ============ BUILT-IN GAME TYPES ============
+// Registered in this order, which is the order of the tiles on each page. A new game is a module
+// here plus one line in this list; see games/registry.js for what a definition can declare.
+export const BUILT_IN_GAME_TYPES = [
+  spaceMath, alienInvasion, bubblePop, planetHopper, fractionFrenzy, timeWarp, moneyMaster, geometryGalaxy,
+  grammarGalaxy, wordClassWarp, punctuationPop, tenseTraveler, sentenceBuilder,
+  synonymStars, antonymAsteroids, wordMatch, spellingBee,
+  storyNebula, inferenceInvestigator, storySequence
+];
@@ -0,0 +1,28 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ INFERENCE INVESTIGATOR ============
+// Rows: text1 = clue passage, text2 = question, answer + option1-4
+const InferenceInvestigatorQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-4">
+      <div className="text-3xl mb-3 text-center">🔍</div>
+      <div className="text-white text-lg leading-relaxed text-center italic">"<SpokenText text={question.text1} id="prompt" speech={speech} />"</div>
+    </div>
+    <div className="bg-violet-900/60 rounded-2xl p-4 mb-4">
+      <div className="text-white text-lg font-medium text-center"><SpokenText text={question.text2} id="question" speech={speech} /></div>
+    </div>
+    <OptionGrid list options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-violet-600 hover:bg-violet-500" />
+  </div>
+);
+
+export const inferenceInvestigator = {
+  id: 'inference-investigator', title: 'Inference Investigator', icon: '🔍', color: 'from-violet-500 to-purple-500', difficulty: 'Hard', description: 'Make inferences!',
+  subject: 'english', category: 'comprehension',
+  schema: { required: ['text1', 'text2', 'answer'] },
+  Question: InferenceInvestigatorQuestion,
+  prompt: (q) => q.text1,
+  speech: (q) => [{ id: 'prompt', text: q.text1 }, { id: 'question', text: q.text2 }]
+};
@@ -0,0 +1,30 @@
+import React from 'react';
+import { generateMoney } from '../../lib/questionGenerators';
+import { parseMoneyAnswer } from '../../lib/answers';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ MONEY MASTER ============
+// Rows: num1 = text description like "2 quarters + 1 dime", num2 = operation type, answer = correct value
+const MoneyMasterQuestion = ({ question, options, correct, feedback, speech, keypad, onAnswer }) => {
+  const isChange = question.num2 === 'change';
+  return (
+    <div className="w-full max-w-lg">
+      <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+        <div className="text-green-400 text-sm mb-2">{isChange ? '💵 Make Change' : '🪙 Count the Coins'}</div>
+        <div className="text-white text-2xl font-bold mb-4">{question.num1}</div>
+        {question.hint && <p className="text-gray-400 text-sm">{question.hint}</p>}
+      </div>
+      {keypad || <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+        textSize="text-2xl" idleClass="bg-gradient-to-r from-green-500 to-emerald-500 hover:scale-105" />}
+    </div>
+  );
+};
+
+export const moneyMaster = {
+  id: 'money-master', title: 'Money Master', icon: '💰', color: 'from-green-500 to-emerald-500', difficulty: 'Medium', description: 'Count money!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'answer'] },
+  Question: MoneyMasterQuestion,
+  typedAnswer: { parse: parseMoneyAnswer, keys: ['$', '.', '¢'] },
+  generator: generateMoney
+};
@@ -0,0 +1,35 @@
+import React from 'react';
+import { generateSequence } from '../../lib/questionGenerators';
+import { parseNumberAnswer } from '../../lib/answers';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ PLANET HOPPER ============
+// Rows: num1 = "2 4 6 ? 10", answer = "8"
+const PlanetHopperQuestion = ({ question, options, correct, feedback, speech, keypad, onAnswer }) => {
+  const seqParts = question.num1 ? question.num1.split(' ') : [];
+  return (
+    <div className="w-full max-w-lg">
+      <div className="flex justify-center gap-2 mb-6 flex-wrap">
+        {seqParts.map((part, i) => (
+          <div key={i} className={`w-14 h-14 rounded-full flex items-center justify-center text-lg font-bold text-white shadow-lg border-4 border-white/30 ${part === '?' ? 'bg-gray-600' : 'bg-gradient-to-b from-purple-400 to-purple-600'
+            }`} style={{ animation: 'float 3s ease-in-out infinite' }}>
+            {part}
+          </div>
+        ))}
+      </div>
+      <p className="text-white text-center mb-4">Find the missing number!</p>
+      {question.hint && <p className="text-gray-400 text-sm text-center mb-4">{question.hint}</p>}
+      {keypad || <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+        textSize="text-xl" idleClass="bg-gradient-to-r from-purple-500 to-pink-500 hover:scale-105" />}
+    </div>
+  );
+};
+
+export const planetHopper = {
+  id: 'planet-hopper', title: 'Planet Hopper', icon: '🪐', color: 'from-purple-500 to-pink-500', difficulty: 'Medium', description: 'Complete sequences!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'answer'] },
+  Question: PlanetHopperQuestion,
+  typedAnswer: { parse: parseNumberAnswer, keys: ['-'] },
+  generator: generateSequence
+};
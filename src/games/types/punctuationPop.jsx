@@ -0,0 +1,34 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+
+// ============ PUNCTUATION POP ============
+// Rows: text1 = sentence without its last mark, answer = the mark; the four mark buttons are fixed
+const MARKS = ['.', '?', '!', ','];
+const MARK_NAMES = { '.': 'period', '?': 'question mark', '!': 'exclamation mark', ',': 'comma' };
+
+const PunctuationPopQuestion = ({ question, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      <div className="text-white text-2xl font-medium text-center">
+        <SpokenText text={question.text1} id="prompt" speech={speech} /><span className="text-yellow-400 text-3xl animate-pulse">_</span>
+      </div>
+    </div>
+    <div className="flex justify-center gap-4 relative z-20">
+      {MARKS.map((mark, i) => (
+        <button key={mark} onClick={() => onAnswer(mark)}
+          className={`w-16 h-16 rounded-full text-3xl font-bold transition-all hover:scale-110 cursor-pointer ${feedback && mark === correct ? 'bg-green-500 text-white' : speech?.id === `option-${i}` ? 'bg-yellow-300 text-gray-900' : 'bg-gradient-to-b from-pink-400 to-rose-500 text-white'
+            }`}>{mark}</button>
+      ))}
+    </div>
+  </div>
+);
+
+export const punctuationPop = {
+  id: 'punctuation-pop', title: 'Punctuation Pop', icon: '✨', color: 'from-pink-500 to-rose-500', difficulty: 'Easy', description: 'Add punctuation!',
+  subject: 'english', category: 'grammar',
+  schema: { required: ['text1', 'answer'] },
+  choices: MARKS,
+  Question: PunctuationPopQuestion,
+  speech: (q) => [{ id: 'prompt', text: q.text1 }, { id: 'lead', text: 'Which punctuation mark goes at the end?' }],
+  speakOption: (mark) => MARK_NAMES[mark] || mark
+};
@@ -0,0 +1,31 @@
+import React from 'react';
+import { OrderTiles, splitOrderItems } from '../OrderTiles';
+
+// ============ SENTENCE BUILDER ============
+// Rows: answer = the sentence (split into words, or into chunks separated by |), text1 = optional clue, text2 = skill label
+const SentenceBuilderQuestion = ({ question, options, feedback, speech, color, questionNumber, onScore }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      {question.text2 && <div className="text-xs text-purple-400 mb-2">{question.text2}</div>}
+      <div className="text-white text-xl font-medium">{question.text1 || 'Put the words in order to make a sentence'}</div>
+    </div>
+    <OrderTiles key={questionNumber} items={options} answer={splitOrderItems(question.answer)} feedback={feedback} speech={speech} color={color} onScore={onScore} />
+  </div>
+);
+
+export const sentenceBuilder = {
+  id: 'sentence-builder', title: 'Sentence Builder', icon: '🧩', color: 'from-fuchsia-500 to-purple-600', difficulty: 'Medium', description: 'Build sentences!',
+  subject: 'english', category: 'grammar',
+  schema: { required: ['answer'] },
+  options: (q) => splitOrderItems(q.answer),
+  shuffleOptions: true,
+  correctAnswer: (q) => splitOrderItems(q.answer).join(' '),
+  Question: SentenceBuilderQuestion,
+  prompt: (q) => splitOrderItems(q.answer).join(' '),
+  speech: (q) => [{ id: 'lead', text: q.text1 || 'Put the words in order to make a sentence' }],
+  validate: (q) => {
+    const words = splitOrderItems(q.answer);
+    if (words.length < 2) return [{ severity: 'error', message: 'Need at least 2 words to put in order' }];
+    return words.length > 10 ? [{ severity: 'warning', message: `${words.length} words is a lot of tiles for a phone screen` }] : [];
+  }
+};
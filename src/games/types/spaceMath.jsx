@@ -0,0 +1,28 @@
+import React from 'react';
+import { generateArithmetic } from '../../lib/questionGenerators';
+import { parseNumberAnswer } from '../../lib/answers';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ SPACE MATH ============
+// Rows: num1, operation, num2, answer, option1-4
+const SpaceMathQuestion = ({ question, options, correct, feedback, speech, color, keypad, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      <div className="text-white text-4xl font-bold mb-2">
+        {question.num1} {question.operation} {question.num2} = ?
+      </div>
+      {question.hint && <p className="text-gray-400 text-sm">{question.hint}</p>}
+    </div>
+    {keypad || <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      textSize="text-2xl" idleClass={`bg-gradient-to-r ${color} hover:scale-105`} />}
+  </div>
+);
+
+export const spaceMath = {
+  id: 'space-math', title: 'Space Math', icon: '🚀', color: 'from-orange-500 to-yellow-500', difficulty: 'Easy', description: 'Solve equations!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'num2', 'operation', 'answer'] },
+  Question: SpaceMathQuestion,
+  typedAnswer: { parse: parseNumberAnswer, keys: ['-', '.'] },
+  generator: generateArithmetic
+};
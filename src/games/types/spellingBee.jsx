@@ -0,0 +1,27 @@
+import React from 'react';
+import { BLANK_PATTERN, BlankSentence, LetterTiles } from '../LetterTiles';
+
+// ============ SPELLING BEE ============
+// Rows: text1 = sentence with ___ where the word goes (or a clue), text2 = hint, answer = the word to spell
+const SpellingBeeQuestion = ({ question, correct, feedback, speech, color, level, questionNumber, onScore }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6">
+      {question.text2 && <div className="text-xs text-amber-300 mb-2">💡 {question.text2}</div>}
+      <BlankSentence text={question.text1} word={correct} feedback={feedback} speech={speech} />
+    </div>
+    <LetterTiles key={questionNumber} word={correct} level={level} feedback={feedback} color={color} onScore={onScore} />
+  </div>
+);
+
+export const spellingBee = {
+  id: 'spelling-bee', title: 'Spelling Bee', icon: '🐝', color: 'from-amber-400 to-yellow-600', difficulty: 'Medium', description: 'Spell the word!',
+  subject: 'english', category: 'vocabulary',
+  schema: { required: ['text1', 'answer'] },
+  choices: [],
+  Question: SpellingBeeQuestion,
+  speech: (q) => [{ id: 'prompt', text: q.text1.replace(BLANK_PATTERN, 'blank') }, { id: 'lead', text: 'Spell the missing word.' }],
+  validate: (q) => {
+    if (!/^[\p{L}' -]+$/u.test(q.answer.trim())) return [{ severity: 'error', message: `"${q.answer}" can only use letters, spaces, dashes and apostrophes` }];
+    return q.answer.trim().length > 12 ? [{ severity: 'warning', message: 'Words over 12 letters may not fit on a phone screen' }] : [];
+  }
+};
@@ -0,0 +1,29 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ STORY NEBULA ============
+// Rows: text1 = title, text2 = story, answer = question, option1 = correct answer, option2-4 = distractors
+const StoryNebulaQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-2xl">
+    <div className="bg-gray-900/80 rounded-2xl p-4 backdrop-blur mb-4 max-h-40 overflow-y-auto">
+      <h3 className="text-yellow-400 font-bold mb-2">📖 <SpokenText text={question.text1} id="title" speech={speech} /></h3>
+      <p className="text-white text-sm leading-relaxed whitespace-pre-line"><SpokenText text={question.text2} id="passage" speech={speech} /></p>
+    </div>
+    <div className="bg-teal-900/60 rounded-2xl p-4 mb-4">
+      <div className="text-white text-lg font-medium">❓ <SpokenText text={question.answer} id="question" speech={speech} /></div>
+    </div>
+    <OptionGrid list options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-teal-600 hover:bg-teal-500" />
+  </div>
+);
+
+export const storyNebula = {
+  id: 'story-nebula', title: 'Story Nebula', icon: '📖', color: 'from-indigo-500 to-purple-500', difficulty: 'Medium', description: 'Read stories!',
+  subject: 'english', category: 'comprehension',
+  schema: { required: ['text1', 'text2', 'answer', 'option1'] },
+  correctAnswer: (q) => q.option1,
+  Question: StoryNebulaQuestion,
+  prompt: (q) => `${q.text1}: ${q.answer}`,
+  speech: (q) => [{ id: 'title', text: q.text1 }, { id: 'passage', text: q.text2 }, { id: 'question', text: q.answer }]
+};
@@ -0,0 +1,33 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OrderTiles, splitOrderItems } from '../OrderTiles';
+
+// ============ STORY SEQUENCE ============
+// Rows: text1 = title, text2 = story (the Story Nebula passage works), answer = the events in order separated by |
+const StorySequenceQuestion = ({ question, options, feedback, speech, color, questionNumber, onScore }) => (
+  <div className="w-full max-w-2xl">
+    <div className="bg-gray-900/80 rounded-2xl p-4 backdrop-blur mb-4 max-h-40 overflow-y-auto">
+      <h3 className="text-yellow-400 font-bold mb-2">📖 <SpokenText text={question.text1} id="title" speech={speech} /></h3>
+      {question.text2 && <p className="text-white text-sm leading-relaxed whitespace-pre-line"><SpokenText text={question.text2} id="passage" speech={speech} /></p>}
+    </div>
+    <p className="text-teal-200 text-center mb-2">What happened first? Put the events in order:</p>
+    <OrderTiles key={questionNumber} list items={options} answer={splitOrderItems(question.answer)} separator=" | " feedback={feedback} speech={speech} color={color} onScore={onScore} />
+  </div>
+);
+
+export const storySequence = {
+  id: 'story-sequence', title: 'Story Sequence', icon: '🎞️', color: 'from-teal-500 to-emerald-600', difficulty: 'Medium', description: 'Order the story!',
+  subject: 'english', category: 'comprehension',
+  schema: { required: ['text1', 'answer'] },
+  options: (q) => splitOrderItems(q.answer),
+  shuffleOptions: true,
+  correctAnswer: (q) => splitOrderItems(q.answer).join(' → '),
+  Question: StorySequenceQuestion,
+  prompt: (q) => `${q.text1}: put the events in order`,
+  speech: (q) => [{ id: 'title', text: q.text1 }, { id: 'passage', text: q.text2 }, { id: 'lead', text: 'Put the events in order.' }],
+  validate: (q) => {
+    const events = splitOrderItems(q.answer);
+    if (!q.answer.includes('|') || events.length < 2) return [{ severity: 'error', message: 'List at least 2 events separated by |' }];
+    return events.length > 6 ? [{ severity: 'warning', message: `${events.length} events is a lot to drag on a phone screen` }] : [];
+  }
+};
@@ -0,0 +1,26 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ SYNONYM STARS ============
+// Rows: text1 = word, answer = synonym, option2-4 = distractors (option1 is ignored); buttons are shuffled
+const SynonymStarsQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      <div className="text-green-300 text-sm mb-2">Find a word that means the same as:</div>
+      <div className="text-white text-4xl font-bold"><SpokenText text={question.text1} id="prompt" speech={speech} /></div>
+    </div>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-gradient-to-r from-yellow-500 to-orange-500 hover:scale-105" />
+  </div>
+);
+
+export const synonymStars = {
+  id: 'synonym-stars', title: 'Synonym Stars', icon: '⭐', color: 'from-yellow-500 to-orange-500', difficulty: 'Easy', description: 'Find synonyms!',
+  subject: 'english', category: 'vocabulary',
+  schema: { required: ['text1', 'answer'] },
+  options: (q) => [q.answer, q.option2, q.option3, q.option4].filter(Boolean),
+  shuffleOptions: true,
+  Question: SynonymStarsQuestion,
+  speech: (q) => [{ id: 'lead', text: 'Find a word that means the same as' }, { id: 'prompt', text: q.text1 }]
+};
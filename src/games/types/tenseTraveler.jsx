@@ -0,0 +1,31 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ TENSE TRAVELER ============
+// Rows: text1 = verb, text2 = past / present / future, answer + option1-4
+const TENSE_COLORS = { past: 'from-amber-600 to-orange-700', present: 'from-green-500 to-emerald-600', future: 'from-blue-500 to-indigo-600' };
+const TENSE_ICONS = { past: '⏪', present: '▶️', future: '⏩' };
+
+const TenseTravelerQuestion = ({ question, options, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className={`bg-gradient-to-r ${TENSE_COLORS[question.text2] || 'from-gray-500 to-gray-600'} rounded-2xl p-4 mb-4 text-center`}>
+      <div className="text-3xl mb-1">{TENSE_ICONS[question.text2] || '🕐'}</div>
+      <div className="text-white text-xl font-bold">{(question.text2 || 'TENSE').toUpperCase()}</div>
+    </div>
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+      <div className="text-gray-400 text-sm mb-2">Convert this verb:</div>
+      <div className="text-white text-4xl font-bold"><SpokenText text={question.text1} id="prompt" speech={speech} /></div>
+    </div>
+    <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+      idleClass="bg-gradient-to-r from-teal-600 to-emerald-600 hover:scale-105" />
+  </div>
+);
+
+export const tenseTraveler = {
+  id: 'tense-traveler', title: 'Tense Traveler', icon: '⏰', color: 'from-emerald-500 to-teal-500', difficulty: 'Medium', description: 'Verb tenses!',
+  subject: 'english', category: 'grammar',
+  schema: { required: ['text1', 'text2', 'answer'] },
+  Question: TenseTravelerQuestion,
+  speech: (q) => [{ id: 'lead', text: `Change this verb to the ${q.text2} tense.` }, { id: 'prompt', text: q.text1 }]
+};
@@ -0,0 +1,42 @@
+import React from 'react';
+import { generateTime } from '../../lib/questionGenerators';
+import { parseTimeAnswer } from '../../lib/answers';
+import { OptionGrid } from '../OptionGrid';
+
+// ============ TIME WARP ============
+// Rows: operation = read (num1:num2 on a clock face) or duration (from num1 to num2)
+const TimeWarpQuestion = ({ question, options, correct, feedback, speech, keypad, onAnswer }) => {
+  const hour = parseInt(question.num1) || 3;
+  const minute = parseInt(question.num2) || 0;
+  return (
+    <div className="w-full max-w-lg">
+      <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 text-center">
+        <div className="text-blue-400 text-sm mb-2">{question.operation === 'read' ? 'Read the Clock' : 'Calculate Duration'}</div>
+        {question.operation === 'read' && (
+          <svg viewBox="0 0 100 100" className="w-32 h-32 mx-auto">
+            <circle cx="50" cy="50" r="45" fill="#1f2937" stroke="#fbbf24" strokeWidth="3" />
+            {[...Array(12)].map((_, i) => {
+              const angle = (i * 30 - 90) * Math.PI / 180;
+              return <text key={i} x={50 + 35 * Math.cos(angle)} y={50 + 35 * Math.sin(angle) + 4} fill="white" fontSize="10" textAnchor="middle">{i === 0 ? 12 : i}</text>;
+            })}
+            <line x1="50" y1="50" x2={50 + 20 * Math.cos(((hour % 12) * 30 + minute * 0.5 - 90) * Math.PI / 180)} y2={50 + 20 * Math.sin(((hour % 12) * 30 + minute * 0.5 - 90) * Math.PI / 180)} stroke="#ef4444" strokeWidth="4" strokeLinecap="round" />
+            <line x1="50" y1="50" x2={50 + 30 * Math.cos((minute * 6 - 90) * Math.PI / 180)} y2={50 + 30 * Math.sin((minute * 6 - 90) * Math.PI / 180)} stroke="#3b82f6" strokeWidth="3" strokeLinecap="round" />
+          </svg>
+        )}
+        {question.operation === 'duration' && <div className="text-white text-xl">From {question.num1} to {question.num2}</div>}
+      </div>
+      {keypad || <OptionGrid options={options} correct={correct} feedback={feedback} speech={speech} onAnswer={onAnswer}
+        idleClass="bg-gradient-to-r from-blue-500 to-indigo-500 hover:scale-105" />}
+    </div>
+  );
+};
+
+export const timeWarp = {
+  id: 'time-warp', title: 'Time Warp', icon: '⏰', color: 'from-blue-500 to-indigo-500', difficulty: 'Easy', description: 'Tell time!',
+  subject: 'math', category: 'math',
+  schema: { required: ['num1', 'operation', 'answer'], operations: ['read', 'duration'] },
+  Question: TimeWarpQuestion,
+  prompt: (q) => (q.operation === 'duration' ? `From ${q.num1} to ${q.num2}` : `Read the clock: ${q.num1}:${(q.num2 || '0').padStart(2, '0')}`),
+  typedAnswer: { parse: parseTimeAnswer, keys: [':'] },
+  generator: generateTime
+};
@@ -0,0 +1,35 @@
+import React from 'react';
+import { SpokenText } from '../../components/SpokenText';
+
+// ============ WORD CLASS WARP ============
+// Rows: text1 = word, answer = its word class; the four class buttons are fixed
+const WORD_CLASSES = ['noun', 'verb', 'adjective', 'adverb'];
+const WORD_CLASS_ICONS = { noun: '📦', verb: '🏃', adjective: '🎨', adverb: '⚡' };
+const WORD_CLASS_COLORS = { noun: 'from-red-500 to-orange-500', verb: 'from-green-500 to-emerald-500', adjective: 'from-blue-500 to-purple-500', adverb: 'from-yellow-500 to-amber-500' };
+
+const WordClassWarpQuestion = ({ question, correct, feedback, speech, onAnswer }) => (
+  <div className="w-full max-w-lg">
+    <div className="bg-gray-900/80 rounded-2xl p-8 backdrop-blur mb-8 text-center">
+      <div className="text-4xl font-bold text-white" style={{ animation: 'float 2s ease-in-out infinite' }}><SpokenText text={question.text1} id="prompt" speech={speech} /></div>
+    </div>
+    <div className="grid grid-cols-2 gap-4 relative z-20">
+      {WORD_CLASSES.map((cat, i) => (
+        <button key={cat} onClick={() => onAnswer(cat)}
+          className={`p-6 rounded-2xl text-white font-bold text-lg transition-all hover:scale-105 cursor-pointer bg-gradient-to-br ${WORD_CLASS_COLORS[cat]} ${feedback && cat === correct ? 'ring-4 ring-green-400' : ''
+            }`}>
+          <div className="text-3xl mb-2">{WORD_CLASS_ICONS[cat]}</div>
+          <SpokenText text={cat.charAt(0).toUpperCase() + cat.slice(1)} id={`option-${i}`} speech={speech} />
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export const wordClassWarp = {
+  id: 'word-class-warp', title: 'Word Class Warp', icon: '🌟', color: 'from-pink-500 to-purple-500', difficulty: 'Easy', description: 'Sort words!',
+  subject: 'english', category: 'grammar',
+  schema: { required: ['text1', 'answer'] },
+  choices: WORD_CLASSES,
+  Question: WordClassWarpQuestion,
+  speech: (q) => [{ id: 'lead', text: 'Is this word a noun, verb, adjective or adverb?' }, { id: 'prompt', text: q.text1 }]
+};
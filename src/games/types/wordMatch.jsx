@@ -0,0 +1,38 @@
+import React, { useMemo } from 'react';
+import { MatchPairs, parsePair } from '../MatchPairs';
+
+// ============ WORD MATCH ============
+// Rows: option1-4 = pairs written "left = right" (synonyms, antonyms, word = word class...), text1 = instruction,
+// text2 = skill label; answer is not used
+const WordMatchQuestion = ({ question, options, feedback, color, questionNumber, onScore }) => {
+  const pairs = useMemo(() => options.map(parsePair).filter(Boolean), [options]);
+  return (
+    <div className="w-full max-w-lg">
+      <div className="bg-gray-900/80 rounded-2xl p-4 backdrop-blur mb-4 text-center">
+        {question.text2 && <div className="text-xs text-green-400 mb-1">{question.text2}</div>}
+        <div className="text-white text-xl font-medium">{question.text1 || 'Match the pairs'}</div>
+      </div>
+      <MatchPairs key={questionNumber} pairs={pairs} feedback={feedback} color={color} onScore={onScore} />
+    </div>
+  );
+};
+
+export const wordMatch = {
+  id: 'word-match', title: 'Word Match', icon: '🔗', color: 'from-lime-500 to-green-600', difficulty: 'Easy', description: 'Match the pairs!',
+  subject: 'english', category: 'vocabulary',
+  schema: { required: ['option1', 'option2'] },
+  correctAnswer: (q) => [q.option1, q.option2, q.option3, q.option4].filter(Boolean).join(', '),
+  Question: WordMatchQuestion,
+  prompt: (q) => q.text1 || 'Match the pairs',
+  speech: (q) => [{ id: 'lead', text: q.text1 || 'Match the pairs' }],
+  speakOption: (opt) => opt.replace('=', 'goes with'),
+  validate: (q) => {
+    const cells = [q.option1, q.option2, q.option3, q.option4].filter(Boolean);
+    const bad = cells.find(cell => !parsePair(cell)?.every(Boolean));
+    if (bad) return [{ severity: 'error', message: `"${bad}" should be written "word = match"` }];
+    const lefts = cells.map(cell => parsePair(cell)[0].toLowerCase());
+    const rights = cells.map(cell => parsePair(cell)[1].toLowerCase());
+    if (new Set(lefts).size < lefts.length) return [{ severity: 'error', message: 'The same left-hand word is used twice' }];
+    return new Set(rights).size < rights.length ? [{ severity: 'warning', message: 'Two pairs share a right-hand word, so either order counts' }] : [];
+  }
+};
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { buildCustomGameTypes } from '../games/customGames';
+import { setCustomGameTypes } from '../games/registry';
+
+// ============ SHEET-DEFINED GAMES HOOK ============
+// Reads the #games blocks of the loaded sheets (useQuestionSheets) and registers them, so their tiles sit next to the
+// built-in games. Returns the registered games; a new list means the tile pages should redraw.
+export const useCustomGames = (sheets) => {
+  const [customGames, setCustomGames] = useState([]);
+  const declarationsKey = JSON.stringify([sheets.math.games, sheets.english.games]);
+
+  useEffect(() => {
+    const [math, english] = JSON.parse(declarationsKey);
+    // The first sheet to declare a game_type keeps it
+    const declared = [...buildCustomGameTypes(math, 'math').gameTypes, ...buildCustomGameTypes(english, 'english').gameTypes]
+      .filter((g, i, all) => all.findIndex(other => other.id === g.id) === i);
+    setCustomGames(setCustomGameTypes(declared));
+  }, [declarationsKey]);
+
+  return customGames;
+};
@@ -0,0 +1,57 @@
+import { useState, useRef } from 'react';
+
+// ============ POINTER DRAG ============
+// Drag and drop for answer tiles with one code path for mouse, pen and touch. HTML5 drag events don't fire for
+// touch on Android Chrome, so this follows pointer events instead: the tile captures the pointer, follows it with a
+// transform, and on release the element under the pointer with a data-drop attribute is the target.
+// Tiles need the touch-none class or the browser scrolls the page instead of dragging.
+// A press that barely moves is not a drag, so the tile's onClick still handles tap-to-place.
+const DRAG_THRESHOLD_PX = 8;
+
+// onDrop(dragId, dropId) gets the data-drop value as a string; spread bind(id) onto each draggable tile
+export const usePointerDrag = (onDrop) => {
+  const [drag, setDrag] = useState(null);
+  const press = useRef(null);
+  const suppressClick = useRef(false);
+
+  const bind = (id) => ({
+    onPointerDown: (e) => {
+      if (e.button > 0) return;
+      suppressClick.current = false;
+      press.current = { id, pointerId: e.pointerId, x: e.clientX, y: e.clientY, dragging: false };
+    },
+    onPointerMove: (e) => {
+      const p = press.current;
+      if (!p || p.id !== id || p.pointerId !== e.pointerId) return;
+      const dx = e.clientX - p.x;
+      const dy = e.clientY - p.y;
+      if (!p.dragging) {
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+        p.dragging = true;
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+      }
+      setDrag({ id, dx, dy });
+    },
+    onPointerUp: (e) => {
+      const p = press.current;
+      press.current = null;
+      if (!p?.dragging || p.id !== id) return;
+      setDrag(null);
+      suppressClick.current = true;
+      // The tile itself is under the pointer too, so look past it
+      const tile = e.currentTarget;
+      const target = document.elementsFromPoint(e.clientX, e.clientY)
+        .map(el => el.closest('[data-drop]'))
+        .find(el => el && !tile.contains(el));
+      if (target) onDrop(id, target.dataset.drop);
+    },
+    onPointerCancel: () => { press.current = null; setDrag(null); },
+    // The release at the end of a drag also fires a click, which must not count as a tap
+    onClickCapture: (e) => {
+      if (suppressClick.current) { e.stopPropagation(); suppressClick.current = false; }
+    },
+    style: drag?.id === id ? { transform: `translate(${drag.dx}px, ${drag.dy}px)`, zIndex: 50, position: 'relative', opacity: 0.9 } : undefined
+  });
+
+  return { bind, draggingId: drag?.id ?? null };
+};
@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+
+// ============ SERVICE WORKER HOOK ============
+// Registers sw.js (written next to index.html by the build). It only runs over http(s): opening index.html
+// straight from disk still works, just without install or offline caching.
+const canUseServiceWorker = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+
+// updateReady turns true once a newer version has installed and is waiting; applyUpdate swaps it in and reloads
+export const useServiceWorker = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const updating = useRef(false);
+
+  useEffect(() => {
+    if (!canUseServiceWorker()) return;
+    const sw = navigator.serviceWorker;
+    let registration = null;
+
+    // With no controller this is the first install, not an update
+    const offerIfWaiting = (worker) => { if (worker && sw.controller) setWaitingWorker(worker); };
+    const watch = (reg) => {
+      registration = reg;
+      offerIfWaiting(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => { if (worker.state === 'installed') offerIfWaiting(worker); });
+      });
+    };
+    // Replays POSTs the worker queued while offline, for browsers without Background Sync
+    const flushOutbox = () => sw.controller?.postMessage({ type: 'FLUSH_OUTBOX' });
+    const checkForUpdate = () => { if (document.visibilityState === 'visible') registration?.update().catch(() => { }); };
+    const onControllerChange = () => { if (updating.current) window.location.reload(); };
+
+    sw.register('./sw.js')
+      .then(reg => { watch(reg); flushOutbox(); })
+      .catch(e => console.warn('Service worker registration failed:', e));
+    sw.addEventListener('controllerchange', onControllerChange);
+    window.addEventListener('online', flushOutbox);
+    document.addEventListener('visibilitychange', checkForUpdate);
+    return () => {
+      sw.removeEventListener('controllerchange', onControllerChange);
+      window.removeEventListener('online', flushOutbox);
+      document.removeEventListener('visibilitychange', checkForUpdate);
+    };
+  }, []);
+
+  const applyUpdate = () => {
+    if (!waitingWorker) return;
+    updating.current = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  return { updateReady: !!waitingWorker, applyUpdate };
+};
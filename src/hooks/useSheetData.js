@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { BUNDLED_SHEETS } from '../config';
+import { storage } from '../lib/storage';
+import { parseCSVDetailed } from '../lib/csv';
+import { getWorksheetSources } from '../lib/worksheets';
+
+// ============ DATA FETCHING HOOK ============
+// Last good parse of each sheet URL, so games still work with no network
+const SHEET_CACHE_PREFIX = 'learning-galaxy-sheet-cache:';
+
+// The service worker answers from its own copy first and marks it with X-From-Cache (the time that copy was
+// fetched), so a response with the header is a saved copy, not a live one. Returns { rows, games, cachedAt }.
+const fetchSheetRows = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  // Bad rows are left to the sheet check in Settings (SheetValidationReport)
+  const { rows, games } = parseCSVDetailed(await res.text());
+  // A tab may hold nothing but a #games block
+  if (rows.length === 0 && games.length === 0) throw new Error('Sheet has no questions');
+  return { rows, games, cachedAt: res.headers?.get('X-From-Cache') || null };
+};
+
+const formatAge = (iso) => {
+  const mins = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+  if (mins < 60) return `${mins} min`;
+  if (mins < 60 * 24) return `${Math.round(mins / 60)} h`;
+  return `${Math.round(mins / (60 * 24))} days`;
+};
+
+// Loads and merges one or more tab URLs. games are the tabs' #games declarations (lib/csv.js). source is 'live', 'cached' (fetchedAt says when, oldest tab wins) or 'bundled'
+export const useSheetData = (urls, bundledCsv) => {
+  const [rows, setRows] = useState([]);
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState(null);
+  const [fetchedAt, setFetchedAt] = useState(null);
+  const urlKey = [].concat(urls).filter(Boolean).join('\n');
+
+  useEffect(() => {
+    // With no URL set (a cleared Settings field or settings row) the game plays from the bundled CSV
+    const tabUrls = urlKey ? urlKey.split('\n') : [];
+    let cancelled = false;
+    setLoading(true);
+    const results = tabUrls.map(() => null);
+    const failures = [];
+
+    const publish = () => {
+      const ready = results.filter(Boolean);
+      if (cancelled || ready.length === 0) return;
+      const stale = ready.filter(r => r.source === 'cached').map(r => r.fetchedAt).sort();
+      setRows(ready.flatMap(r => r.rows));
+      setGames(ready.flatMap(r => r.games));
+      setSource(stale.length ? 'cached' : 'live');
+      setFetchedAt(stale.length ? stale[0] : ready[0].fetchedAt);
+      setLoading(false);
+    };
+
+    const loadTab = async (url, i) => {
+      const cacheKey = SHEET_CACHE_PREFIX + url;
+      let cached = null;
+      try {
+        const saved = await storage.get(cacheKey);
+        cached = saved?.value ? JSON.parse(saved.value) : null;
+      } catch (e) { }
+      // Serve the cache straight away, then refresh in the background
+      if (cached?.rows?.length || cached?.games?.length) {
+        results[i] = { rows: cached.rows || [], games: cached.games || [], source: 'cached', fetchedAt: cached.fetchedAt };
+        publish();
+      }
+      try {
+        const { rows, games, cachedAt } = await fetchSheetRows(url);
+        // Our own copy is at least as new as the service worker's, so keep showing it
+        if (cachedAt && cached?.fetchedAt && cached.fetchedAt >= cachedAt) return;
+        const fetchTime = cachedAt || new Date().toISOString();
+        try { await storage.set(cacheKey, JSON.stringify({ fetchedAt: fetchTime, rows, games })); } catch (e) { }
+        results[i] = { rows, games, source: cachedAt ? 'cached' : 'live', fetchedAt: fetchTime };
+        publish();
+      } catch (err) {
+        if (!results[i]) failures.push(err.message);
+      }
+    };
+
+    const load = async () => {
+      await Promise.all(tabUrls.map(loadTab));
+      if (cancelled) return;
+      if (results.some(Boolean)) {
+        setError(null);
+      } else {
+        try {
+          if (!bundledCsv) throw new Error(failures[0] || 'No sheet URL set');
+          const bundled = parseCSVDetailed(bundledCsv);
+          setRows(bundled.rows); setGames(bundled.games); setSource('bundled'); setFetchedAt(null); setError(null);
+        } catch (e) {
+          if (!cancelled) setError(failures[0] || e.message);
+        }
+      }
+      if (!cancelled) setLoading(false);
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [urlKey, bundledCsv]);
+
+  return { rows, games, loading, error, source, fetchedAt };
+};
+
+// The selected tabs of each question sheet, keyed by sheet name. Loaded once in App; the sheet-defined games and every
+// round read from it, so opening a game doesn't fetch the sheets again.
+export const useQuestionSheets = (settings) => ({
+  math: useSheetData(getWorksheetSources(settings, 'math').map(t => t.url), BUNDLED_SHEETS.math),
+  english: useSheetData(getWorksheetSources(settings, 'english').map(t => t.url), BUNDLED_SHEETS.english)
+});
+
+export const describeSheetSource = ({ source, fetchedAt }) => {
+  if (source === 'live') return 'live from Google Sheets';
+  if (source === 'cached') return `from a saved copy (${formatAge(fetchedAt)} old)`;
+  if (source === 'bundled') return 'from the built-in question set (offline)';
+  return '';
+};
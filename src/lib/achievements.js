@@ -0,0 +1,96 @@
+import { toDayKey } from './progressStats';
+
+// ============ GOALS & ACHIEVEMENTS ============
+// Everything here is worked out from a profile's saved game results, so nothing extra needs storing or syncing
+export const DAILY_GOAL_TYPES = { games: { unit: 'games', icon: '🎮' }, stars: { unit: 'stars', icon: '⭐' } };
+const PERFECT_MIN_ANSWERS = 5;
+
+const addDays = (dayKey, n) => {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return toDayKey(new Date(y, m - 1, d + n));
+};
+
+// { dayKey: { games, stars } } for every day with at least one saved game
+export const summarizeDays = (entries) => {
+  const days = {};
+  entries.forEach(e => {
+    const day = days[toDayKey(e.date)] ||= { games: 0, stars: 0 };
+    day.games++;
+    day.stars += e.stars;
+  });
+  return days;
+};
+
+export const getDailyGoal = (settings) => {
+  const type = DAILY_GOAL_TYPES[settings.dailyGoalType];
+  const target = Number(settings.dailyGoalTarget) || 0;
+  return type && target > 0 ? { ...type, type: settings.dailyGoalType, target } : null;
+};
+
+export const getDailyGoalProgress = (entries, settings, now = Date.now()) => {
+  const goal = getDailyGoal(settings);
+  if (!goal) return null;
+  const value = summarizeDays(entries)[toDayKey(now)]?.[goal.type] || 0;
+  return { ...goal, value, met: value >= goal.target };
+};
+
+export const getGoalDays = (entries, settings) => {
+  const goal = getDailyGoal(settings);
+  if (!goal) return new Set();
+  return new Set(Object.entries(summarizeDays(entries)).filter(([, day]) => day[goal.type] >= goal.target).map(([key]) => key));
+};
+
+// Counting back from today; a streak stays alive until a whole day passes without a game
+export const getCurrentPlayStreak = (entries, now = Date.now()) => {
+  const played = summarizeDays(entries);
+  let day = toDayKey(now);
+  if (!played[day]) day = addDays(day, -1);
+  let streak = 0;
+  while (played[day]) { streak++; day = addDays(day, -1); }
+  return streak;
+};
+
+export const getLongestPlayStreak = (entries) => {
+  const days = Object.keys(summarizeDays(entries)).sort();
+  let longest = 0, run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+};
+
+const isPerfectGame = (e) => e.answered >= PERFECT_MIN_ANSWERS && e.correct === e.answered;
+// Rounds keep their best run per level (adaptive rounds move between levels); older results only have the round's streak
+const hardStreak = (e) => e.levelStreaks?.Hard ?? (e.difficulty === 'Hard' ? e.streak : 0);
+
+// The explorer badges keep the game list they were launched with: badges are worked out again from the results every time,
+// so a list that grew with each new game would take the badge away from children who already earned it
+const MATH_EXPLORER_GAMES = ['space-math', 'alien-invasion', 'bubble-pop', 'planet-hopper', 'fraction-frenzy', 'time-warp', 'money-master', 'geometry-galaxy'];
+const WORD_EXPLORER_GAMES = ['grammar-galaxy', 'word-class-warp', 'punctuation-pop', 'tense-traveler', 'synonym-stars', 'antonym-asteroids', 'story-nebula', 'inference-investigator'];
+const playedAll = (entries, games) => games.every(game => entries.some(e => e.game === game));
+
+// test(entries) gets one profile's saved results; older results without difficulty/answered just never match those badges.
+export const ACHIEVEMENTS = [
+  { id: 'first-game', icon: '🚀', title: 'Lift Off', description: 'Finish your first game', test: (entries) => entries.length > 0 },
+  { id: 'hard-ten', icon: '🔥', title: 'Red Hot', description: '10 in a row on Hard', test: (entries) => entries.some(e => hardStreak(e) >= 10) },
+  { id: 'all-math', icon: '🔢', title: 'Math Explorer', description: `Play the ${MATH_EXPLORER_GAMES.length} classic math games`, test: (entries) => playedAll(entries, MATH_EXPLORER_GAMES) },
+  { id: 'all-english', icon: '📚', title: 'Word Explorer', description: `Play the ${WORD_EXPLORER_GAMES.length} classic English games`, test: (entries) => playedAll(entries, WORD_EXPLORER_GAMES) },
+  { id: 'perfect-story', icon: '📖', title: 'Story Star', description: 'First perfect Story Nebula', test: (entries) => entries.some(e => e.game === 'story-nebula' && isPerfectGame(e)) },
+  { id: 'perfect-game', icon: '💯', title: 'Flawless', description: `No mistakes in a game of ${PERFECT_MIN_ANSWERS}+ questions`, test: (entries) => entries.some(isPerfectGame) },
+  { id: 'streak-3', icon: '📅', title: 'Hat Trick', description: 'Play 3 days in a row', test: (entries) => getLongestPlayStreak(entries) >= 3 },
+  { id: 'streak-7', icon: '🗓️', title: 'Week Warrior', description: '7-day streak', test: (entries) => getLongestPlayStreak(entries) >= 7 },
+  { id: 'stars-1000', icon: '🌟', title: 'Star Collector', description: 'Earn 1,000 stars', test: (entries) => entries.reduce((sum, e) => sum + e.stars, 0) >= 1000 }
+];
+
+// { achievementId: date } using the date of the game that first unlocked it
+export const getEarnedAchievements = (entries) => {
+  const sorted = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const earned = {};
+  const remaining = ACHIEVEMENTS.filter(a => a.test(sorted));
+  for (let i = 0; i < sorted.length && Object.keys(earned).length < remaining.length; i++) {
+    const soFar = sorted.slice(0, i + 1);
+    remaining.forEach(a => { if (!earned[a.id] && a.test(soFar)) earned[a.id] = sorted[i].date; });
+  }
+  return earned;
+};
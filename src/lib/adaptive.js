@@ -0,0 +1,43 @@
+import { storage } from './storage';
+
+// ============ ADAPTIVE DIFFICULTY ============
+export const DIFFICULTY_LEVELS = ['Easy', 'Medium', 'Hard'];
+export const ADAPTIVE_LEVELS_KEY = 'learning-galaxy-adaptive-levels';
+const ADAPTIVE_UP_RUN = 3;        // fast correct answers in a row to move up
+const ADAPTIVE_FAST_MS = 6000;    // "fast" means answered within this time
+const ADAPTIVE_DOWN_MISSES = 2;   // misses in a row to move down
+
+export const getRoundTime = (level) => level === 'Hard' ? 30 : level === 'Medium' ? 40 : 50;
+export const getStarMultiplier = (level) => level === 'Hard' ? 2 : level === 'Medium' ? 1.5 : 1;
+
+// Per-player, per-game preferences saved as { [profileId]: { [gameId]: value } }; players without a profile share 'guest'
+export const loadGamePref = async (key, profileId, gameId, fallback) => {
+  try {
+    const saved = await storage.get(key);
+    const prefs = saved?.value ? JSON.parse(saved.value) : {};
+    return prefs[profileId || 'guest']?.[gameId] ?? fallback;
+  } catch (e) { return fallback; }
+};
+
+export const saveGamePref = async (key, profileId, gameId, value) => {
+  try {
+    const saved = await storage.get(key);
+    const prefs = saved?.value ? JSON.parse(saved.value) : {};
+    const player = profileId || 'guest';
+    prefs[player] = { ...prefs[player], [gameId]: value };
+    await storage.set(key, JSON.stringify(prefs));
+  } catch (e) { }
+};
+
+export const loadAdaptiveLevel = (profileId, gameId) => loadGamePref(ADAPTIVE_LEVELS_KEY, profileId, gameId, DIFFICULTY_LEVELS[0]);
+export const saveAdaptiveLevel = (profileId, gameId, level) => saveGamePref(ADAPTIVE_LEVELS_KEY, profileId, gameId, level);
+
+// Returns the new level and run counters after one answer
+export const stepAdaptiveLevel = (level, run, isCorrect, responseMs) => {
+  const idx = DIFFICULTY_LEVELS.indexOf(level);
+  const fast = isCorrect && responseMs <= ADAPTIVE_FAST_MS ? run.fast + 1 : 0;
+  const misses = isCorrect ? 0 : run.misses + 1;
+  if (fast >= ADAPTIVE_UP_RUN && idx < DIFFICULTY_LEVELS.length - 1) return { level: DIFFICULTY_LEVELS[idx + 1], run: { fast: 0, misses: 0 } };
+  if (misses >= ADAPTIVE_DOWN_MISSES && idx > 0) return { level: DIFFICULTY_LEVELS[idx - 1], run: { fast: 0, misses: 0 } };
+  return { level, run: { fast, misses } };
+};
@@ -0,0 +1,54 @@
+// ============ TYPED ANSWERS ============
+// Game types opt in with typedAnswer: { parse, keys } (see games/registry.js).
+// Each parser turns an answer into a number so "2/4" and "1/2" compare equal; null means it couldn't be read.
+// parse(given, answer) also gets the correct answer, so a bare number can be read in its unit
+export const parseNumberAnswer = (text) => {
+  const t = text.replace(/,/g, '');
+  return t !== '' && !isNaN(t) ? Number(t) : null;
+};
+
+// "1/2", "2/4", "0.5" and mixed numbers like "1 1/2"
+export const parseFractionAnswer = (text) => {
+  const m = text.match(/^(?:(\d+) )?(\d+)\/(\d+)$/);
+  if (!m) return parseNumberAnswer(text);
+  if (Number(m[3]) === 0) return null;
+  return Number(m[1] || 0) + Number(m[2]) / Number(m[3]);
+};
+
+const BARE_NUMBER = /^\d*\.?\d+$/;
+
+// Cents: "60¢", "60c", "60 cents", "$0.60", "1 dollar". A bare number is read in the unit of the answer it is checked
+// against ("60" for 60¢, "0.60" for $0.60); checked against itself, a whole number is cents and a decimal dollars
+const isDollars = (text) => /^\$|dollars?$/.test(text) || (!/(?:¢|c|cents?)$/.test(text) && text.includes('.'));
+export const parseMoneyAnswer = (text, answer = text) => {
+  const cents = text.match(/^(\d+) ?(?:¢|c|cents?)$/);
+  if (cents) return Number(cents[1]);
+  const dollars = text.match(/^\$ ?(\d*\.?\d+)$/) || text.match(/^(\d*\.?\d+) ?(?:dollars?)$/);
+  if (dollars) return Math.round(Number(dollars[1]) * 100);
+  if (!BARE_NUMBER.test(text)) return null;
+  if (isDollars(answer)) return Math.round(Number(text) * 100);
+  return /^\d+$/.test(text) ? Number(text) : null;
+};
+
+// Minutes: clock times "3:05"/"3:5" and durations "1 hour 30 min", "90 minutes". A bare "90" only counts for a
+// duration, so "185" can't pass for the clock reading "3:05"
+const CLOCK = /^(\d{1,2}):(\d{1,2})$/;
+export const parseTimeAnswer = (text, answer = text) => {
+  const clock = text.match(CLOCK);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const duration = text.match(/^(?:(\d+) ?h(?:ours?|rs?)?)? ?(?:(\d+) ?m(?:in(?:ute)?s?)?)?$/);
+  if (duration && (duration[1] || duration[2])) return Number(duration[1] || 0) * 60 + Number(duration[2] || 0);
+  return /^\d+$/.test(text) && !CLOCK.test(answer) ? Number(text) : null;
+};
+
+const normalizeAnswer = (text) => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const answersMatch = (parse, given, correct) => {
+  const a = normalizeAnswer(given);
+  const b = normalizeAnswer(correct);
+  if (a === b) return true;
+  if (!parse || !a) return false;
+  const x = parse(a, b);
+  const y = parse(b);
+  return x !== null && y !== null && Math.abs(x - y) < 1e-9;
+};
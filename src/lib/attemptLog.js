@@ -0,0 +1,38 @@
+import { storage } from './storage';
+
+// ============ ATTEMPT LOG ============
+// One entry per answered question; the source for analytics and adaptive features
+export const ATTEMPT_LOG_KEY = 'learning-galaxy-attempts';
+const MAX_ATTEMPTS = 5000;
+const MAX_ATTEMPT_AGE_DAYS = 180;
+
+// Stable key for a sheet row, so the same question matches across sessions even if rows move
+const QUESTION_KEY_FIELDS = ['num1', 'num2', 'operation', 'text1', 'text2', 'answer', 'option1'];
+export const getQuestionKey = (gameId, row) => {
+  const text = QUESTION_KEY_FIELDS.map(f => (row[f] || '').trim().toLowerCase()).join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return `${gameId}:${(hash >>> 0).toString(36)}`;
+};
+
+export const pruneAttempts = (entries) => {
+  const cutoff = Date.now() - MAX_ATTEMPT_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(a => new Date(a.timestamp).getTime() >= cutoff).slice(-MAX_ATTEMPTS);
+};
+
+export const attemptLog = {
+  entries: null,
+  load: async () => {
+    if (attemptLog.entries) return attemptLog.entries;
+    try {
+      const saved = await storage.get(ATTEMPT_LOG_KEY);
+      attemptLog.entries = saved?.value ? JSON.parse(saved.value) : [];
+    } catch (e) { attemptLog.entries = []; }
+    return attemptLog.entries;
+  },
+  record: async (attempt) => {
+    const entries = await attemptLog.load();
+    attemptLog.entries = pruneAttempts([...entries, attempt]);
+    try { await storage.set(ATTEMPT_LOG_KEY, JSON.stringify(attemptLog.entries)); } catch (e) { }
+  }
+};
@@ -0,0 +1,145 @@
+import { storage } from './storage';
+import { normalizeName, getPlayerName } from './profiles';
+import { ATTEMPT_LOG_KEY, pruneAttempts, attemptLog } from './attemptLog';
+import { LEADERBOARD_OUTBOX_KEY } from './sharedLeaderboard';
+import { ADAPTIVE_LEVELS_KEY } from './adaptive';
+import { PARENT_PIN_KEY } from './parentPin';
+import { READ_ALOUD_KEY } from './readAloud';
+import { getGameInfo } from '../games/registry';
+
+// ============ BACKUP ============
+// Everything a family would miss after clearing the browser; sheet caches and the shared-board copy are re-downloaded instead
+const BACKUP_VERSION = 1;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isEntryList = (list) => Array.isArray(list) && list.every(e => isPlainObject(e) && typeof e.game === 'string' && typeof e.stars === 'number');
+
+const BACKUP_KEYS = {
+  'learning-galaxy-profiles': { label: 'Players', kind: 'profiles', valid: (list) => Array.isArray(list) && list.every(p => isPlainObject(p) && p.id && typeof p.name === 'string') },
+  'learning-galaxy-leaderboard': { label: 'Scores', kind: 'entries', valid: isEntryList },
+  [LEADERBOARD_OUTBOX_KEY]: { label: 'Scores waiting to upload', kind: 'entries', valid: isEntryList },
+  [ATTEMPT_LOG_KEY]: { label: 'Answer history', kind: 'attempts', valid: (list) => Array.isArray(list) && list.every(a => isPlainObject(a) && a.game && a.timestamp) },
+  'learning-galaxy-settings': { label: 'Settings', kind: 'settings', valid: isPlainObject },
+  [ADAPTIVE_LEVELS_KEY]: { label: 'Adaptive levels', kind: 'perProfile', valid: isPlainObject },
+  [READ_ALOUD_KEY]: { label: 'Read-aloud choices', kind: 'perProfile', valid: isPlainObject },
+  [PARENT_PIN_KEY]: { label: 'Parent PIN', kind: 'keep', valid: (pin) => isPlainObject(pin) && typeof pin.hash === 'string' && typeof pin.salt === 'string' },
+  'learning-galaxy-active-profile': { label: 'Current player', kind: 'text', valid: (id) => typeof id === 'string' }
+};
+
+export const readBackupData = async () => {
+  const data = {};
+  for (const [key, { kind }] of Object.entries(BACKUP_KEYS)) {
+    try {
+      const saved = await storage.get(key);
+      if (saved?.value) data[key] = kind === 'text' ? saved.value : JSON.parse(saved.value);
+    } catch (e) { }
+  }
+  return data;
+};
+
+export const writeBackupData = async (data) => {
+  for (const [key, value] of Object.entries(data)) {
+    try { await storage.set(key, BACKUP_KEYS[key].kind === 'text' ? value : JSON.stringify(value)); } catch (e) { }
+  }
+  attemptLog.entries = null;
+};
+
+export const makeBackup = async () => ({ app: 'learning-galaxy', version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data: await readBackupData() });
+
+// Returns a list of problems; unknown keys are ignored rather than rejected so newer backups still load what they can
+export const validateBackup = (bundle) => {
+  if (!isPlainObject(bundle) || bundle.app !== 'learning-galaxy') return ['This is not a Learning Galaxy backup file'];
+  if (typeof bundle.version !== 'number' || bundle.version > BACKUP_VERSION) return [`Backup version ${bundle.version} is newer than this app understands`];
+  if (!isPlainObject(bundle.data)) return ['Backup has no data section'];
+  return Object.entries(bundle.data)
+    .filter(([key, value]) => BACKUP_KEYS[key] && !BACKUP_KEYS[key].valid(value))
+    .map(([key]) => `${BACKUP_KEYS[key].label} in the file are damaged`);
+};
+
+// Same id, or the same player, game and date, is one score
+const entryDedupeKeys = (e) => [e.id, `${e.date}|${e.game}|${e.profileId || e.name}`].filter(Boolean);
+const mergeScoreEntries = (current, incoming) => {
+  const seen = new Set(current.flatMap(entryDedupeKeys));
+  const added = incoming.filter(e => !entryDedupeKeys(e).some(k => seen.has(k)) && entryDedupeKeys(e).every(k => seen.add(k)));
+  return { merged: [...current, ...added].sort((a, b) => new Date(a.date) - new Date(b.date)), added: added.length };
+};
+
+// Builds the storage values an import would write plus a line per key for the preview.
+// Merging matches incoming players to existing ones by id or name, so the same child on two tablets stays one player.
+export const planImport = (current, incoming, mode) => {
+  const next = {};
+  const summary = [];
+  const idMap = {};
+  const currentProfiles = current['learning-galaxy-profiles'] || [];
+  (incoming['learning-galaxy-profiles'] || []).forEach(p => {
+    const match = currentProfiles.find(c => c.id === p.id) || currentProfiles.find(c => normalizeName(c.name) === normalizeName(p.name));
+    if (match) idMap[p.id] = match.id;
+  });
+  const remap = (id) => idMap[id] || id;
+  const remapPlayers = (kind, value) => {
+    if (kind === 'entries' || kind === 'attempts') return value.map(e => e.profileId ? { ...e, profileId: remap(e.profileId) } : e);
+    if (kind === 'perProfile') return Object.fromEntries(Object.entries(value).map(([id, prefs]) => [remap(id), prefs]));
+    if (kind === 'text') return remap(value);
+    return value;
+  };
+
+  Object.entries(BACKUP_KEYS).forEach(([key, { label, kind }]) => {
+    if (!(key in incoming)) return;
+    const theirs = mode === 'replace' ? incoming[key] : remapPlayers(kind, incoming[key]);
+    const ours = current[key];
+    if (mode === 'replace' || ours === undefined) {
+      next[key] = theirs;
+      const count = Array.isArray(theirs) ? ` (${theirs.length})` : '';
+      summary.push({ label, detail: ours === undefined ? `added${count}` : `replaced${count}` });
+      return;
+    }
+    if (kind === 'profiles') {
+      const added = theirs.filter(p => !idMap[p.id]);
+      next[key] = [...ours, ...added];
+      summary.push({ label, detail: `${added.length} new, ${theirs.length - added.length} already here` });
+    } else if (kind === 'entries') {
+      const { merged, added } = mergeScoreEntries(ours, theirs);
+      next[key] = merged;
+      summary.push({ label, detail: `${added} new, ${theirs.length - added} already here` });
+    } else if (kind === 'attempts') {
+      const keyOf = (a) => `${a.timestamp}|${a.questionKey}|${a.profileId}`;
+      const seen = new Set(ours.map(keyOf));
+      const added = theirs.filter(a => !seen.has(keyOf(a)));
+      next[key] = pruneAttempts([...ours, ...added].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+      summary.push({ label, detail: `${added.length} new answers` });
+    } else if (kind === 'perProfile') {
+      const merged = { ...ours };
+      Object.entries(theirs).forEach(([profileId, prefs]) => { merged[profileId] = { ...prefs, ...ours[profileId] }; });
+      next[key] = merged;
+      summary.push({ label, detail: 'merged, this device wins' });
+    } else if (kind === 'settings') {
+      next[key] = { ...theirs, ...ours };
+      summary.push({ label, detail: 'kept this device\'s, filled in missing ones' });
+    } else {
+      summary.push({ label, detail: 'kept this device\'s' });
+    }
+  });
+  return { next, summary };
+};
+
+const toCSVField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const leaderboardToCSV = (entries, profiles) => {
+  const header = ['date', 'player', 'grade', 'game', 'game_title', 'stars', 'streak', 'id'];
+  const rows = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date)).map(e => [
+    e.date, getPlayerName(e, profiles), profiles.find(p => p.id === e.profileId)?.grade || '',
+    e.game, getGameInfo(e.game)?.title || '', e.stars, e.streak ?? '', e.id || ''
+  ]);
+  return [header, ...rows].map(row => row.map(toCSVField).join(',')).join('\r\n');
+};
+
+export const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
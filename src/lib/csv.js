@@ -0,0 +1,95 @@
+// ============ CSV PARSER ============
+// RFC 4180: quoted fields may hold commas, line breaks and "" escaped quotes; LF or CRLF line endings; optional BOM.
+// Streams one record at a time as { fields, line }, where line is the 1-based line the record starts on.
+// Problems are pushed onto `errors` as { line, severity, message } instead of being silently absorbed.
+function* readCSVRecords(csv, errors = []) {
+  const text = csv.charCodeAt(0) === 0xFEFF ? csv.slice(1) : csv;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let wasQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else if (ch === '\r' && text[i + 1] === '\n') { field += '\n'; line++; i++; }
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === ',') {
+      fields.push(field); field = ''; wasQuoted = false;
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      if (fields.length > 1 || fields[0].trim()) yield { fields, line: recordLine };
+      fields = []; field = ''; wasQuoted = false;
+      line++;
+      recordLine = line;
+    } else if (ch === '"' && !wasQuoted && !field.trim()) {
+      inQuotes = true; wasQuoted = true; field = '';
+    } else {
+      if (wasQuoted && ch.trim()) errors.push({ line, severity: 'error', message: `Unexpected text after a closing quote: "${ch}"` });
+      else if (ch === '"') errors.push({ line, severity: 'warning', message: 'Stray quote in an unquoted field' });
+      field += ch;
+    }
+  }
+  if (inQuotes) errors.push({ line: recordLine, severity: 'error', message: 'Quoted field is never closed' });
+  fields.push(field);
+  if (fields.length > 1 || fields[0].trim()) yield { fields, line: recordLine };
+}
+
+const normalizeHeaders = (fields) => fields.map(h => h.trim().toLowerCase().replace(/['"]/g, ''));
+const isBlankRecord = (fields) => fields.every(v => !v.trim());
+
+// A tab may open with a block declaring sheet-defined games (see games/customGames.jsx):
+//   #games
+//   game_type,title,icon,color,category,layout,description
+//   capitals,Capitals,🏛️,blue,vocabulary,choice,Name the capital city
+//   (a blank row, a "#questions" row, or straight on to the question header)
+const GAMES_BLOCK_MARKER = '#games';
+
+// Returns { headers, rows, lines, errors, games, gameLines }; lines[i] is the sheet line number of rows[i]
+export const parseCSVDetailed = (csv) => {
+  const errors = [];
+  const records = readCSVRecords(csv || '', errors);
+  const games = [];
+  const gameLines = [];
+  let first = records.next();
+  if (!first.done && first.value.fields[0].trim().toLowerCase() === GAMES_BLOCK_MARKER) {
+    const blockHeader = records.next();
+    const gameHeaders = blockHeader.done ? [] : normalizeHeaders(blockHeader.value.fields);
+    for (first = records.next(); !first.done; first = records.next()) {
+      const { fields, line } = first.value;
+      const cell = fields[0].trim().toLowerCase();
+      if (cell === 'game_type') break;
+      if (isBlankRecord(fields) || cell.startsWith('#')) break;
+      const game = {};
+      gameHeaders.forEach((h, i) => { game[h] = (fields[i] || '').trim(); });
+      games.push(game);
+      gameLines.push(line);
+    }
+    // Any mix of blank and "#" rows may separate the block from the question header
+    while (!first.done && (isBlankRecord(first.value.fields) || first.value.fields[0].trim().startsWith('#'))) first = records.next();
+  }
+  if (first.done) return { headers: [], rows: [], lines: [], errors, games, gameLines };
+  const headers = normalizeHeaders(first.value.fields);
+  const rows = [];
+  const lines = [];
+  for (const { fields, line } of records) {
+    const extra = fields.slice(headers.length).filter(v => v.trim());
+    if (extra.length) {
+      errors.push({ line, severity: 'error', message: `Row has ${fields.length} columns but the header has ${headers.length}; skipped` });
+      continue;
+    }
+    if (fields.length < headers.length) {
+      errors.push({ line, severity: 'warning', message: `Row has only ${fields.length} of ${headers.length} columns; the rest are blank` });
+    }
+    const obj = {};
+    headers.forEach((h, i) => { obj[h] = (fields[i] || '').trim(); });
+    rows.push(obj);
+    lines.push(line);
+  }
+  return { headers, rows, lines, errors, games, gameLines };
+};
@@ -0,0 +1,68 @@
+import { storage } from './storage';
+import { randInt } from './questionGenerators';
+
+// ============ PARENT PIN ============
+// Only a salted PBKDF2 hash is stored; failed tries are counted in storage so a reload doesn't clear a lockout
+export const PARENT_PIN_KEY = 'learning-galaxy-parent-pin';
+const PIN_ITERATIONS = 150000;
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCKOUT_MINUTES = [1, 5, 15, 60];
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const hashPin = async (pin, salt, iterations) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toBase64(bits);
+};
+
+export const parentPin = {
+  load: async () => {
+    try {
+      const saved = await storage.get(PARENT_PIN_KEY);
+      return saved?.value ? JSON.parse(saved.value) : null;
+    } catch (e) {
+      return null;
+    }
+  },
+  save: async (record) => {
+    try { await storage.set(PARENT_PIN_KEY, JSON.stringify(record)); } catch (e) { }
+  },
+  set: async (pin) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await hashPin(pin, salt, PIN_ITERATIONS);
+    await parentPin.save({ salt: toBase64(salt), hash, iterations: PIN_ITERATIONS, failures: 0, lockouts: 0, lockedUntil: 0 });
+  },
+  // A wrong PIN or reset answer; every PIN_MAX_FAILURES in a row locks the gate for longer
+  fail: async () => {
+    const record = await parentPin.load();
+    if (!record) return { remaining: PIN_MAX_FAILURES, lockedUntil: 0 };
+    const failures = (record.failures || 0) + 1;
+    if (failures < PIN_MAX_FAILURES) {
+      await parentPin.save({ ...record, failures });
+      return { remaining: PIN_MAX_FAILURES - failures, lockedUntil: 0 };
+    }
+    const lockouts = (record.lockouts || 0) + 1;
+    const minutes = PIN_LOCKOUT_MINUTES[Math.min(lockouts, PIN_LOCKOUT_MINUTES.length) - 1];
+    const lockedUntil = Date.now() + minutes * 60000;
+    await parentPin.save({ ...record, failures: 0, lockouts, lockedUntil });
+    return { remaining: 0, lockedUntil };
+  },
+  verify: async (pin) => {
+    const record = await parentPin.load();
+    if (!record) return { ok: false, remaining: 0, lockedUntil: 0 };
+    if (record.lockedUntil > Date.now()) return { ok: false, remaining: 0, lockedUntil: record.lockedUntil };
+    const hash = await hashPin(pin, fromBase64(record.salt), record.iterations);
+    if (hash !== record.hash) return { ok: false, ...(await parentPin.fail()) };
+    await parentPin.save({ ...record, failures: 0, lockouts: 0, lockedUntil: 0 });
+    return { ok: true };
+  }
+};
+
+// Grown-up arithmetic for the forgot-PIN path: three-digit by two-digit multiplication
+export const makeParentChallenge = () => {
+  const a = randInt(112, 989);
+  const b = randInt(13, 97);
+  return { text: `${a} × ${b}`, answer: a * b };
+};
@@ -0,0 +1,40 @@
+// ============ PARTIAL CREDIT ============
+// Ordering, matching and spelling questions have several parts, so they score from 0 to 1 instead of right/wrong.
+// SheetBasedGame gives part of the stars for a partial score and only a full score counts as correct.
+const normalize = (text) => String(text ?? '').trim().toLowerCase();
+
+const longestCommonSubsequence = (a, b) => {
+  const row = new Array(b.length + 1).fill(0);
+  a.forEach(x => {
+    let diagonal = 0;
+    b.forEach((y, j) => {
+      const above = row[j + 1];
+      row[j + 1] = x === y ? diagonal + 1 : Math.max(row[j + 1], row[j]);
+      diagonal = above;
+    });
+  });
+  return row[b.length];
+};
+
+// How much of the order is right, counting the longest run of items already in sequence.
+// One item in the wrong place still scores well; a full shuffle scores 0.
+export const orderCredit = (given, correct) => {
+  if (correct.length < 2) return given.length === correct.length && normalize(given[0]) === normalize(correct[0]) ? 1 : 0;
+  const inSequence = longestCommonSubsequence(given.map(normalize), correct.map(normalize));
+  return Math.max(0, (inSequence - 1) / (correct.length - 1));
+};
+
+// Share of the pairs matched correctly; links is [left, right] as the child joined them
+export const pairsCredit = (links, pairs) => {
+  if (pairs.length === 0) return 0;
+  const right = links.filter(([l, r]) => pairs.some(([pl, pr]) => normalize(pl) === normalize(l) && normalize(pr) === normalize(r)));
+  return right.length / pairs.length;
+};
+
+// Share of the letters in the right place; case doesn't matter
+export const lettersCredit = (given, word) => {
+  const target = [...normalize(word)];
+  const typed = [...normalize(given)];
+  if (target.length === 0) return 0;
+  return target.filter((ch, i) => typed[i] === ch).length / target.length;
+};
@@ -0,0 +1,36 @@
+// ============ PLAYER PROFILES ============
+export const PROFILE_AVATARS = ['🦊', '🐼', '🦄', '🐯', '🐸', '🐙', '🦖', '🐧', '🚀', '👾', '🌟', '🤖'];
+export const GRADE_LEVELS = ['K', '1', '2', '3', '4', '5', '6'];
+
+export const makeId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// "Kani", "kani " and "Kani!" all belong to the same child. Letters (with their accents) and digits of any script
+// are kept, so "Zoë" and "Zoe" or "Player 1" and "Player 2" are different children
+export const normalizeName = (name) => (name || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+export const createProfile = (name, avatar = PROFILE_AVATARS[0], grade = '3') => ({
+  id: makeId(), name: name.trim(), avatar, grade, createdAt: new Date().toISOString()
+});
+
+// Attach legacy free-text leaderboard entries to profiles, creating one profile per normalized name
+export const migrateLeaderboardToProfiles = (leaderboard, profiles) => {
+  const byName = {};
+  profiles.forEach(p => { byName[normalizeName(p.name)] = p; });
+  const newProfiles = [...profiles];
+  let changed = false;
+  const migrated = leaderboard.map(entry => {
+    if (entry.profileId) return entry;
+    const key = normalizeName(entry.name);
+    if (!key) return entry;
+    if (!byName[key]) {
+      const label = key.replace(/(^|\s)\p{L}/gu, c => c.toUpperCase());
+      byName[key] = createProfile(label, PROFILE_AVATARS[newProfiles.length % PROFILE_AVATARS.length]);
+      newProfiles.push(byName[key]);
+    }
+    changed = true;
+    return { ...entry, profileId: byName[key].id, name: byName[key].name };
+  });
+  return { leaderboard: migrated, profiles: newProfiles, changed };
+};
+
+export const getPlayerName = (entry, profiles = []) => profiles.find(p => p.id === entry.profileId)?.name || entry.name;
@@ -0,0 +1,81 @@
+import { DAY_MS } from './schedulers';
+import { getAllGames, getGameInfo } from '../games/registry';
+
+// ============ PROGRESS STATS ============
+// Per-child trends for the progress dashboard, built from the attempt log and the leaderboard
+const OPERATION_SKILLS = { '+': 'Addition', '-': 'Subtraction', '×': 'Multiplication', '÷': 'Division' };
+// A question left on screen while the child wandered off shouldn't count as hours of play
+const MAX_COUNTED_RESPONSE_MS = 2 * 60 * 1000;
+
+// Sheets label skills in different columns: operation for math, text2 or category for English.
+// Long values there are passages or questions, not skill names, so those fall back to the game title.
+const isSkillLabel = (value) => !!value && value.length <= 30 && !/[?.!]/.test(value);
+export const getQuestionSkill = (gameId, row) => {
+  const operation = (row.operation || '').trim();
+  if (OPERATION_SKILLS[operation]) return OPERATION_SKILLS[operation];
+  const label = [operation, (row.text2 || '').trim(), (row.category || '').trim()].find(isSkillLabel);
+  if (label) return label.charAt(0).toUpperCase() + label.slice(1);
+  return getGameInfo(gameId)?.title || gameId;
+};
+
+export const toDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+export const lastNDays = (n, now = Date.now()) => Array.from({ length: n }, (_, i) => {
+  const d = new Date(now);
+  d.setDate(d.getDate() - (n - 1 - i));
+  return toDayKey(d);
+});
+
+const accuracyOf = (attempts) => attempts.length ? Math.round(100 * attempts.filter(a => a.correct).length / attempts.length) : null;
+const minutesOf = (attempts) => Math.round(attempts.reduce((sum, a) => sum + Math.min(a.responseMs || 0, MAX_COUNTED_RESPONSE_MS), 0) / 60000);
+
+// One value per day in days; null where the game wasn't played so charts can skip the gap
+export const buildDailySeries = (attempts, entries, days) => {
+  const attemptsByDay = {};
+  attempts.forEach(a => { (attemptsByDay[toDayKey(a.timestamp)] ||= []).push(a); });
+  const starsByDay = {};
+  entries.forEach(e => { const day = toDayKey(e.date); starsByDay[day] = (starsByDay[day] || 0) + e.stars; });
+  return days.map(day => ({
+    day,
+    stars: starsByDay[day] ?? null,
+    accuracy: accuracyOf(attemptsByDay[day] || []),
+    minutes: minutesOf(attemptsByDay[day] || [])
+  }));
+};
+
+// Rows are skills, columns are the last `weeks` weeks (oldest first) plus an all-time total
+export const buildSkillMastery = (attempts, weeks, now = Date.now()) => {
+  const skills = {};
+  attempts.forEach(a => {
+    const skill = a.skill || getGameInfo(a.game)?.title || a.game;
+    const key = `${a.game}|${skill}`;
+    const row = skills[key] ||= { key, game: a.game, skill, weeks: Array.from({ length: weeks }, () => ({ correct: 0, total: 0 })), correct: 0, total: 0 };
+    const weeksAgo = Math.floor((now - new Date(a.timestamp).getTime()) / (7 * DAY_MS));
+    const cell = row.weeks[weeks - 1 - weeksAgo];
+    if (cell) { cell.total++; if (a.correct) cell.correct++; }
+    row.total++;
+    if (a.correct) row.correct++;
+  });
+  const allGames = getAllGames();
+  const gameOrder = (id) => { const i = allGames.findIndex(g => g.id === id); return i < 0 ? allGames.length : i; };
+  return Object.values(skills).sort((a, b) => gameOrder(a.game) - gameOrder(b.game) || a.skill.localeCompare(b.skill));
+};
+
+// The last 7 days against the 7 before them
+export const compareWeeks = (attempts, entries, now = Date.now()) => {
+  const inWeek = (time, weeksAgo) => { const age = now - new Date(time).getTime(); return age >= weeksAgo * 7 * DAY_MS && age < (weeksAgo + 1) * 7 * DAY_MS; };
+  const summarize = (weeksAgo) => {
+    const weekAttempts = attempts.filter(a => inWeek(a.timestamp, weeksAgo));
+    const weekEntries = entries.filter(e => inWeek(e.date, weeksAgo));
+    return {
+      games: weekEntries.length,
+      stars: weekEntries.reduce((sum, e) => sum + e.stars, 0),
+      questions: weekAttempts.length,
+      accuracy: accuracyOf(weekAttempts),
+      minutes: minutesOf(weekAttempts)
+    };
+  };
+  return { current: summarize(0), previous: summarize(1) };
+};
@@ -0,0 +1,173 @@
+import { parseFractionAnswer } from './answers';
+
+// ============ QUESTION GENERATORS ============
+// Math rows made on the fly in the sheet's schema, so a round doesn't start repeating once the sheet's rows run out
+export const randInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+const pickOne = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Three distinct wrong answers: plausible mistakes first, then nearby numbers if those run short
+const pickDistractors = (answer, mistakes, nearby) => {
+  const seen = new Set([String(answer)]);
+  const picked = [];
+  for (const option of [...[...mistakes].sort(() => Math.random() - 0.5), ...nearby]) {
+    const text = String(option);
+    if (picked.length < 3 && !seen.has(text)) { seen.add(text); picked.push(text); }
+  }
+  return picked;
+};
+
+const nearbyNumbers = (n) => [1, 2, 3, 4, 5, 6].flatMap(d => [n + d, n - d]).filter(x => x >= 0);
+
+const makeGeneratedRow = (gameType, level, fields, answer, distractors, hint, knowMore) => {
+  const [option1, option2, option3, option4] = [String(answer), ...distractors].sort(() => Math.random() - 0.5);
+  return { game_type: gameType, num1: '', num2: '', operation: '', ...fields, answer: String(answer), option1, option2, option3, option4, difficulty: level, hint, know_more: knowMore };
+};
+
+const ARITHMETIC_RANGES = {
+  Easy: { ops: ['+', '-'], max: 20 },
+  Medium: { ops: ['+', '-', '×', '÷'], max: 100, table: 6 },
+  Hard: { ops: ['+', '-', '×', '÷'], max: 200, table: 12 }
+};
+
+export const generateArithmetic = (gameType, level) => {
+  const range = ARITHMETIC_RANGES[level] || ARITHMETIC_RANGES.Medium;
+  const op = pickOne(range.ops);
+  let a, b, answer, hint, knowMore, mistakes;
+  if (op === '+') {
+    a = randInt(1, range.max / 2); b = randInt(1, range.max / 2); answer = a + b;
+    hint = `Add ${a} and ${b}`;
+    knowMore = `${a}+${b}=${answer}. Start at ${Math.max(a, b)} and count up ${Math.min(a, b)} more!`;
+    mistakes = [answer + 10, answer - 10, Math.abs(a - b)];
+  } else if (op === '-') {
+    a = randInt(2, range.max); b = randInt(1, a - 1); answer = a - b;
+    hint = `Take ${b} away from ${a}`;
+    knowMore = `${a}-${b}=${answer}. Check it: ${answer}+${b}=${a}!`;
+    mistakes = [answer + 10, answer - 10, a + b];
+  } else if (op === '×') {
+    a = randInt(2, range.table); b = randInt(2, range.table); answer = a * b;
+    hint = `${a} times ${b}`;
+    knowMore = `${a}×${b}=${answer}. That's ${b} groups of ${a}!`;
+    mistakes = [answer + a, answer - a, answer + b, answer - b, a + b];
+  } else {
+    b = randInt(2, range.table); answer = randInt(2, range.table); a = b * answer;
+    hint = `How many ${b}s make ${a}?`;
+    knowMore = `${a}÷${b}=${answer} because ${answer}×${b}=${a}!`;
+    mistakes = [answer + 1, answer - 1, b];
+  }
+  return makeGeneratedRow(gameType, level, { num1: String(a), num2: String(b), operation: op }, answer,
+    pickDistractors(answer, mistakes.filter(x => x > 0), nearbyNumbers(answer)), hint, knowMore);
+};
+
+export const generateSequence = (gameType, level) => {
+  const geometric = level === 'Hard' && Math.random() < 0.4;
+  const descending = level !== 'Easy' && !geometric && Math.random() < 0.3;
+  const step = geometric ? randInt(2, 3) : level === 'Easy' ? pickOne([1, 2, 3, 5, 10]) : level === 'Medium' ? randInt(2, 10) : randInt(4, 25);
+  const start = geometric ? randInt(1, 4) : descending ? step * 4 + randInt(1, 50) : randInt(1, level === 'Easy' ? 10 : 30);
+  const terms = Array.from({ length: 5 }, (_, i) => geometric ? start * step ** i : descending ? start - step * i : start + step * i);
+  const missing = randInt(1, 4);
+  const answer = terms[missing];
+  const mistakes = geometric ? [answer + step, answer * step, terms[missing - 1] + step] : [answer + 1, answer - 1, answer + step, answer - step];
+  const rule = geometric ? `Multiply by ${step} each time` : descending ? `Subtract ${step} each time` : `Add ${step} each time`;
+  return makeGeneratedRow(gameType, level, { num1: terms.map((t, i) => i === missing ? '?' : t).join(' '), num2: 'sequence' }, answer,
+    pickDistractors(answer, mistakes.filter(x => x >= 0), nearbyNumbers(answer)), rule, `${rule}: ${terms.join(' ')}!`);
+};
+
+const formatClock = (h, m) => `${h}:${String(m).padStart(2, '0')}`;
+const formatDuration = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m} minutes`;
+  const hours = `${h} hour${h === 1 ? '' : 's'}`;
+  return m ? `${hours} ${m} min` : hours;
+};
+
+export const generateTime = (gameType, level) => {
+  if (level === 'Hard' && Math.random() < 0.5) {
+    const startH = randInt(1, 9);
+    const startM = pickOne([0, 30]);
+    const length = randInt(1, 6) * 30;
+    const end = startH * 60 + startM + length;
+    const answer = formatDuration(length);
+    const mistakes = [length + 30, length - 30, length + 60, length - 60].filter(x => x > 0).map(formatDuration);
+    return makeGeneratedRow(gameType, level, { num1: `${formatClock(startH, startM)} to ${formatClock(Math.floor(end / 60), end % 60)}`, operation: 'duration' }, answer,
+      pickDistractors(answer, mistakes, [length + 90, length + 120].map(formatDuration)), 'Count the hours then the minutes',
+      `From ${formatClock(startH, startM)} to ${formatClock(Math.floor(end / 60), end % 60)} is ${answer}!`);
+  }
+  const h = randInt(1, 12);
+  const m = level === 'Easy' ? pickOne([0, 30]) : level === 'Medium' ? pickOne([0, 15, 30, 45]) : randInt(0, 11) * 5;
+  const next = h % 12 + 1;
+  const answer = formatClock(h, m);
+  const mistakes = [formatClock(next, m), formatClock(h === 1 ? 12 : h - 1, m), formatClock(h, (m + 30) % 60), formatClock(h, (m + 15) % 60)];
+  if (m && m % 5 === 0 && m / 5 <= 12) mistakes.push(formatClock(m / 5, h * 5 % 60));
+  const hint = m === 0 ? `Hour hand on ${h}` : m === 30 ? `Half past ${h}` : m === 15 ? `Quarter past ${h}` : m === 45 ? `Quarter to ${next}` : `Count by 5s to ${m}`;
+  return makeGeneratedRow(gameType, level, { num1: String(h), num2: String(m), operation: 'read' }, answer,
+    pickDistractors(answer, mistakes, [formatClock(next, (m + 5) % 60)]), hint,
+    `The short hand points at ${h} and the long hand ${m ? `shows ${m} minutes` : 'points at 12'}, so it's ${answer}!`);
+};
+
+const COINS = [
+  { name: 'quarter', plural: 'quarters', cents: 25 },
+  { name: 'dime', plural: 'dimes', cents: 10 },
+  { name: 'nickel', plural: 'nickels', cents: 5 },
+  { name: 'penny', plural: 'pennies', cents: 1 }
+];
+const formatCents = (cents) => cents >= 100 ? `$${(cents / 100).toFixed(2)}` : `${cents}¢`;
+
+export const generateMoney = (gameType, level) => {
+  if (level === 'Hard' && Math.random() < 0.5) {
+    const pay = Math.random() < 0.5 ? 50 : 100;
+    const price = randInt(1, pay / 5 - 1) * 5;
+    const change = pay - price;
+    return makeGeneratedRow(gameType, level, { num1: `Price ${formatCents(price)} Pay ${formatCents(pay)}`, num2: 'change' }, formatCents(change),
+      pickDistractors(formatCents(change), [change + 5, change - 5, change + 10, change - 10, price].filter(x => x > 0).map(formatCents), []),
+      `Count up from ${formatCents(price)}`, `${pay}¢ - ${price}¢ = ${change}¢ change!`);
+  }
+  const kinds = COINS.slice(0, level === 'Easy' ? 2 : level === 'Medium' ? 3 : 4);
+  const counts = kinds.map(() => 0);
+  const coinCount = randInt(2, level === 'Easy' ? 3 : level === 'Medium' ? 5 : 6);
+  for (let i = 0; i < coinCount; i++) counts[randInt(0, kinds.length - 1)]++;
+  const used = kinds.map((coin, i) => ({ ...coin, count: counts[i] })).filter(c => c.count);
+  const total = used.reduce((sum, c) => sum + c.cents * c.count, 0);
+  const values = used.flatMap(c => Array(c.count).fill(`${c.cents}¢`));
+  return makeGeneratedRow(gameType, level, { num1: used.map(c => `${c.count} ${c.count === 1 ? c.name : c.plural}`).join(' + '), num2: 'count' }, formatCents(total),
+    pickDistractors(formatCents(total), [total + 5, total - 5, total + 10, total - 10, total + 25].filter(x => x > 0).map(formatCents), []),
+    'Add coin values', `${values.join(' + ')} = ${formatCents(total)}!`);
+};
+
+export const generateGeometry = (gameType, level) => {
+  const side = randInt(level === 'Easy' ? 1 : 2, level === 'Easy' ? 5 : level === 'Medium' ? 10 : 12);
+  const isArea = level !== 'Easy' && Math.random() < 0.5;
+  const answer = isArea ? side * side : side * 4;
+  const mistakes = isArea ? [side * 4, side * 2, answer + side, answer - side] : [side * side, side * 2, answer + 4, answer - 4];
+  return makeGeneratedRow(gameType, level, { num1: String(side), operation: isArea ? 'area' : 'perimeter' }, answer,
+    pickDistractors(answer, mistakes.filter(x => x > 0), nearbyNumbers(answer)),
+    isArea ? `${side} times ${side}` : `4 times ${side}`,
+    isArea ? `Area = side × side. A square with side ${side} has area ${side}×${side}=${answer}!` : `Perimeter of square = 4 × side length = 4×${side} = ${answer}!`);
+};
+
+const FRACTION_DENOMINATORS = { Easy: [2, 3, 4], Medium: [2, 3, 4, 6, 8], Hard: [3, 4, 5, 6, 8, 10] };
+
+export const generateFraction = (gameType, level) => {
+  const denominators = FRACTION_DENOMINATORS[level] || FRACTION_DENOMINATORS.Medium;
+  if (level === 'Hard' && Math.random() < 0.5) {
+    const d = pickOne(denominators);
+    const a = randInt(1, d - 2);
+    const b = randInt(1, d - 1 - a);
+    const answer = `${a + b}/${d}`;
+    return makeGeneratedRow(gameType, level, { num1: `${a}/${d} + ${b}/${d}`, num2: 'add' }, answer,
+      pickDistractors(answer, [`${a + b}/${d * 2}`, `${a + b + 1}/${d}`, `${Math.abs(a - b) || a + b - 1}/${d}`, `${a * b}/${d}`], [`${a + b - 1}/${d}`]),
+      'Same bottom number: add the tops', `${a}/${d} + ${b}/${d} = ${answer}. The bottom number stays ${d}!`);
+  }
+  // Easy rounds compare slices of the same pizza; later rounds mix pizza sizes
+  const d1 = pickOne(denominators);
+  const d2 = level === 'Easy' ? d1 : pickOne(denominators);
+  const n1 = randInt(1, d1 - 1);
+  let n2 = randInt(1, d2 - 1);
+  if (n1 * d2 === n2 * d1) n2 = n2 === 1 ? 2 : n2 - 1;
+  if (n2 >= d2 || n1 * d2 === n2 * d1) return generateFraction(gameType, level);
+  const [big, small] = n1 * d2 > n2 * d1 ? [`${n1}/${d1}`, `${n2}/${d2}`] : [`${n2}/${d2}`, `${n1}/${d1}`];
+  const knowMore = d1 === d2 ? `${big} is bigger - with the same size slices more slices is more!` : `${big} is bigger. Picture both on the same size pizza to compare!`;
+  return makeGeneratedRow(gameType, level, { num1: `${n1}/${d1} vs ${n2}/${d2}`, num2: 'compare' }, big,
+    pickDistractors(big, [small], ['1/2', '1/3', '2/3', '1/4', '3/4', '1/8'].filter(f => f !== small && parseFractionAnswer(f) !== parseFractionAnswer(big))),
+    d1 === d2 ? 'More slices of the same size is bigger' : 'Think about the size of each slice', knowMore);
+};
@@ -0,0 +1,57 @@
+// ============ READ ALOUD ============
+export const READ_ALOUD_KEY = 'learning-galaxy-read-aloud';
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+const MATH_WORDS = { '+': 'plus', '-': 'minus', '×': 'times', 'x': 'times', '*': 'times', '÷': 'divided by', '/': 'divided by', '=': 'equals' };
+
+// Ordered list of { id, text } to speak; ids match the <SpokenText> wrappers that highlight them.
+// gameType is the registry entry: its speech(q) if it has one, else its prompt read out with math words.
+export const getSpeechSegments = (gameType, q, options) => {
+  const prompt = gameType.speech ? gameType.speech(q)
+    : [{ id: 'lead', text: gameType.prompt(q).split(' ').map(w => MATH_WORDS[w] || w).join(' ').replace(/\?/g, 'what') }];
+  const spokenOptions = options.map((opt, i) => ({ id: `option-${i}`, text: gameType.speakOption ? gameType.speakOption(opt) : opt }));
+  return [...prompt, ...spokenOptions].filter(seg => seg.text);
+};
+
+// Reading speed for the fallback below, kept slower than the 0.9 rate so it never cuts a voice off
+const FALLBACK_CHARS_PER_SECOND = 8;
+const FALLBACK_SLACK_MS = 3000;
+const estimateMs = (segments) => segments.reduce((ms, seg) => ms + seg.text.length * 1000 / FALLBACK_CHARS_PER_SECOND, FALLBACK_SLACK_MS);
+
+// Callbacks from a cancelled sequence (cancel() fires onerror on them) must not touch the one that replaced it
+let sequence = 0;
+let fallbackTimer = null;
+
+// Speaks segments in order; onProgress gets { id, charIndex } as words are read and null when done.
+// Only the last segment ends the sequence. Some Android voices never fire onend, so if the remaining text should
+// have been read by now it ends anyway.
+export const speakSegments = (segments, onProgress) => {
+  if (!speechSupported()) return;
+  stopSpeaking();
+  const id = sequence;
+  const done = () => {
+    if (id !== sequence) return;
+    sequence++;
+    clearTimeout(fallbackTimer);
+    onProgress(null);
+  };
+  const watch = (from) => {
+    clearTimeout(fallbackTimer);
+    fallbackTimer = setTimeout(done, estimateMs(segments.slice(from)));
+  };
+  segments.forEach((seg, i) => {
+    const utterance = new window.SpeechSynthesisUtterance(seg.text);
+    utterance.rate = 0.9;
+    utterance.onstart = () => { if (id !== sequence) return; watch(i); onProgress({ id: seg.id, charIndex: 0 }); };
+    utterance.onboundary = (e) => { if (id === sequence) onProgress({ id: seg.id, charIndex: e.charIndex }); };
+    if (i === segments.length - 1) utterance.onend = utterance.onerror = done;
+    window.speechSynthesis.speak(utterance);
+  });
+  if (segments.length === 0) done(); else watch(0);
+};
+
+export const stopSpeaking = () => {
+  sequence++;
+  clearTimeout(fallbackTimer);
+  if (speechSupported()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,59 @@
+import { getQuestionKey } from './attemptLog';
+
+// ============ QUESTION SCHEDULERS ============
+// A scheduler decides which row SheetBasedGame shows next.
+// next(questions, usedIndices) returns an index into questions; onAnswer(row, isCorrect) is optional.
+export const randomScheduler = {
+  next: (questions, usedIndices) => {
+    const available = questions.map((_, i) => i).filter(i => !usedIndices.has(i));
+    return available[Math.floor(Math.random() * available.length)];
+  }
+};
+
+// Leitner boxes: a miss sends an item back to box 0, each correct answer moves it up a box
+const LEITNER_INTERVALS_DAYS = [0, 1, 3, 7, 14];
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Replays a profile's attempt log into { questionKey: { box, due } } for every item ever missed
+export const buildLeitnerBoxes = (attempts, profileId) => {
+  const boxes = {};
+  [...attempts]
+    .filter(a => (a.profileId || null) === (profileId || null))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(a => {
+      const prev = boxes[a.questionKey];
+      if (!prev && a.correct) return;
+      const box = a.correct ? prev.box + 1 : 0;
+      boxes[a.questionKey] = { box, due: new Date(a.timestamp).getTime() + (LEITNER_INTERVALS_DAYS[box] ?? Infinity) * DAY_MS };
+    });
+  return boxes;
+};
+
+export const isDueForPractice = (boxes, key, now = Date.now()) => !!boxes[key] && boxes[key].box < LEITNER_INTERVALS_DAYS.length && boxes[key].due <= now;
+
+// Lowest box first; an item missed during the round comes back after a couple of other questions
+const RETRY_GAP = 2;
+export const createLeitnerScheduler = (boxes) => {
+  let retry = [];
+  const keyOf = (q) => getQuestionKey(q.game_type, q);
+  return {
+    reset: () => { retry = []; },
+    next: (questions, usedIndices) => {
+      retry.forEach(r => { r.wait -= 1; });
+      const ready = retry.find(r => r.wait < 0);
+      if (ready) {
+        retry = retry.filter(r => r !== ready);
+        const idx = questions.findIndex(q => keyOf(q) === ready.key);
+        if (idx >= 0) return idx;
+      }
+      const available = questions.map((_, i) => i).filter(i => !usedIndices.has(i));
+      const boxOf = (i) => boxes[keyOf(questions[i])]?.box ?? 0;
+      const lowest = Math.min(...available.map(boxOf));
+      const candidates = available.filter(i => boxOf(i) === lowest);
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    },
+    onAnswer: (q, isCorrect) => {
+      if (!isCorrect) retry.push({ key: keyOf(q), wait: RETRY_GAP });
+    }
+  };
+};
@@ -0,0 +1,37 @@
+import { DEFAULT_SETTINGS } from '../config';
+
+// ============ SETTINGS SYNC ============
+// Apps Script-style endpoint (see SETTINGS_SYNC_INSTRUCTIONS.md):
+// GET returns the newest row as { settings, timestamp }, POST appends { timestamp, settings } as a row.
+// The sync URL itself never travels, so a bad row on the sheet can't cut a device off from fixing it.
+const pickSyncedSettings = (settings) => Object.fromEntries(Object.entries(settings).filter(([key]) => key !== 'settingsSheetUrl' && key !== 'updatedAt'));
+
+export const settingsSync = {
+  fetchLatest: async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json();
+    if (body.status === 'error') throw new Error(body.message);
+    return body.settings && body.timestamp ? { settings: body.settings, timestamp: body.timestamp } : null;
+  },
+  // Same text/plain trick as the leaderboard so Apps Script answers without a preflight and we can read the reply
+  push: async (url, settings) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      body: JSON.stringify({ timestamp: settings.updatedAt, settings: pickSyncedSettings(settings) })
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json().catch(() => ({}));
+    // 'queued' comes from the service worker when offline: the row is sent once the connection is back
+    if (body.status === 'queued') return { queued: true };
+    if (body.status !== 'success') throw new Error(body.message || 'Unexpected response from the settings sheet');
+    return { queued: false };
+  },
+  // The remote row wins only if it was saved after this device's last save; returns null when local is current
+  resolve: (local, remote) => {
+    if (!remote) return null;
+    if (local.updatedAt && new Date(local.updatedAt) >= new Date(remote.timestamp)) return null;
+    return { ...DEFAULT_SETTINGS, ...local, ...pickSyncedSettings(remote.settings), updatedAt: new Date(remote.timestamp).toISOString() };
+  }
+};
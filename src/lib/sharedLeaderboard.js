@@ -0,0 +1,58 @@
+import { storage } from './storage';
+
+// ============ SHARED LEADERBOARD ============
+// Apps Script-style endpoint (see LEADERBOARD_SYNC_INSTRUCTIONS.md):
+// GET returns { entries: [...] }, POST takes { entries: [...] } and stores those with new ids
+export const LEADERBOARD_OUTBOX_KEY = 'learning-galaxy-leaderboard-outbox';
+export const REMOTE_LEADERBOARD_KEY = 'learning-galaxy-remote-leaderboard';
+
+export const mergeEntriesById = (...lists) => {
+  const byId = new Map();
+  lists.flat().forEach(e => { if (e && !byId.has(e.id || JSON.stringify(e))) byId.set(e.id || JSON.stringify(e), e); });
+  return [...byId.values()];
+};
+
+export const sharedLeaderboard = {
+  fetchEntries: async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json();
+    const entries = Array.isArray(body) ? body : body.entries;
+    if (!Array.isArray(entries)) throw new Error(body.message || 'Unexpected leaderboard response');
+    return entries;
+  },
+  // text/plain keeps this a "simple" request, which Apps Script accepts without a CORS preflight
+  postEntries: async (url, entries) => {
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain;charset=utf-8' }, body: JSON.stringify({ entries }) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json().catch(() => ({}));
+    if (body.status === 'error') throw new Error(body.message);
+    // The service worker queued it offline. Keep the entries in our own outbox until the server has them;
+    // resending later is harmless because the server skips ids it already stored.
+    if (body.status === 'queued') throw new Error('Offline');
+  },
+  loadOutbox: async () => {
+    try {
+      const saved = await storage.get(LEADERBOARD_OUTBOX_KEY);
+      return saved?.value ? JSON.parse(saved.value) : [];
+    } catch (e) { return []; }
+  },
+  queue: async (entries) => {
+    const outbox = mergeEntriesById(await sharedLeaderboard.loadOutbox(), entries);
+    try { await storage.set(LEADERBOARD_OUTBOX_KEY, JSON.stringify(outbox)); } catch (e) { }
+    return outbox;
+  },
+  // Sends queued entries; they stay queued if the endpoint can't be reached. Returns how many are still waiting.
+  flush: async (url) => {
+    const outbox = await sharedLeaderboard.loadOutbox();
+    if (!url || outbox.length === 0) return outbox.length;
+    try {
+      await sharedLeaderboard.postEntries(url, outbox);
+    } catch (e) {
+      return outbox.length;
+    }
+    const remaining = (await sharedLeaderboard.loadOutbox()).filter(e => !outbox.find(o => o.id === e.id));
+    try { await storage.set(LEADERBOARD_OUTBOX_KEY, JSON.stringify(remaining)); } catch (e) { }
+    return remaining.length;
+  }
+};
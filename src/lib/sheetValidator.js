@@ -0,0 +1,59 @@
+import { DIFFICULTY_LEVELS } from './adaptive';
+import { parseCSVDetailed } from './csv';
+import { getGameType } from '../games/registry';
+import { buildCustomGameTypes } from '../games/customGames';
+
+// ============ QUESTION SHEET VALIDATOR ============
+// Rows are checked against their game type's registry entry: schema.required columns, schema.operations,
+// and the same options()/correctAnswer() the game uses, so "answer not among the choices" means what the child sees.
+// Game types with fixed choices (word class, punctuation) skip the option count checks, and ones with their own
+// validate() (ordering, matching, spelling) skip both.
+// findGameType looks a row's game_type up among the built-in games and the ones the sheet itself declares.
+const validateQuestionRow = (row, findGameType) => {
+  const issues = [];
+  if (!row.game_type) return [{ severity: 'error', message: 'Missing game_type' }];
+  const gameType = findGameType(row.game_type);
+  if (!gameType) return [{ severity: 'error', message: `Unknown game_type "${row.game_type}"` }];
+  const rule = gameType.schema;
+
+  rule.required.filter(f => !row[f]).forEach(f => issues.push({ severity: 'error', message: `Missing ${f}` }));
+  if (!row.difficulty) issues.push({ severity: 'warning', message: 'No difficulty; row appears at every level' });
+  else if (!DIFFICULTY_LEVELS.includes(row.difficulty)) issues.push({ severity: 'error', message: `Unknown difficulty "${row.difficulty}" (use ${DIFFICULTY_LEVELS.join('/')})` });
+  if (rule.operations && row.operation && !rule.operations.includes(row.operation)) {
+    issues.push({ severity: 'error', message: `operation "${row.operation}" must be one of ${rule.operations.join(', ')}` });
+  }
+
+  if (gameType.validate) return [...issues, ...gameType.validate(row)];
+
+  const correct = gameType.correctAnswer(row);
+  const shown = gameType.options(row).filter(Boolean);
+  if (correct && !shown.includes(correct)) issues.push({ severity: 'error', message: `Answer "${correct}" is not one of the choices (${shown.join(' | ')})` });
+  if (!gameType.choices) {
+    if (shown.length < 2) issues.push({ severity: 'error', message: `Only ${shown.length} answer option(s)` });
+    else if (shown.length < 4) issues.push({ severity: 'warning', message: `Only ${shown.length} answer options` });
+    const dupes = shown.filter((o, i) => shown.indexOf(o) !== i);
+    if (dupes.length) issues.push({ severity: 'error', message: `Duplicate option "${dupes[0]}"` });
+  }
+  return issues;
+};
+
+// Returns { issues: [{ sheet, line, game, severity, message }], counts: { [game]: { Easy, Medium, Hard } }, customGames }
+// where customGames are the game types this tab's #games block declares
+export const validateQuestionSheet = (sheetName, csv) => {
+  const { rows, lines, errors, games, gameLines } = parseCSVDetailed(csv);
+  const issues = errors.map(e => ({ sheet: sheetName, line: e.line, game: '', ...e }));
+  const declared = buildCustomGameTypes(games, sheetName, gameLines);
+  declared.issues.forEach(issue => issues.push({ sheet: sheetName, ...issue }));
+  const findGameType = (id) => declared.gameTypes.find(g => g.id === id) || getGameType(id);
+  const counts = {};
+  rows.forEach((row, i) => {
+    validateQuestionRow(row, findGameType).forEach(issue => issues.push({ sheet: sheetName, line: lines[i], game: row.game_type, ...issue }));
+    const gameType = findGameType(row.game_type);
+    if (gameType && gameType.sheet !== sheetName) issues.push({ sheet: sheetName, line: lines[i], game: row.game_type, severity: 'warning', message: `${row.game_type} rows belong in the ${gameType.sheet} sheet` });
+    if (!gameType) return;
+    counts[row.game_type] = counts[row.game_type] || { Easy: 0, Medium: 0, Hard: 0 };
+    (row.difficulty && DIFFICULTY_LEVELS.includes(row.difficulty) ? [row.difficulty] : row.difficulty ? [] : DIFFICULTY_LEVELS)
+      .forEach(d => { counts[row.game_type][d]++; });
+  });
+  return { issues, counts, customGames: declared.gameTypes };
+};
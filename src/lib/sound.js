@@ -0,0 +1,40 @@
+// ============ SOUND EFFECTS ============
+// Generated with Web Audio so there is nothing to download. Each pattern is a list of notes played in order.
+const SOUND_PATTERNS = {
+  correct: [{ freq: 660, dur: 0.08 }, { freq: 880, dur: 0.14 }],
+  wrong: [{ freq: 220, dur: 0.15, type: 'sawtooth', gain: 0.08 }, { freq: 165, dur: 0.25, type: 'sawtooth', gain: 0.08 }],
+  streak: [523, 659, 784, 1047].map(freq => ({ freq, dur: 0.09, type: 'triangle' })),
+  tick: [{ freq: 1000, dur: 0.05, type: 'square', gain: 0.04 }],
+  gameOver: [784, 659, 523, 392].map(freq => ({ freq, dur: 0.18, type: 'triangle' }))
+};
+export const STREAK_MILESTONES = [3, 5, 10, 15, 20, 30];
+export const TIMER_WARNING_SECONDS = 10;
+
+export const sound = {
+  context: null,
+  play: (name, enabled = true) => {
+    const pattern = SOUND_PATTERNS[name];
+    if (!enabled || !pattern) return;
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+      // Created on first use: mobile browsers only allow audio after the child has tapped something
+      sound.context = sound.context || new AudioCtx();
+      const ctx = sound.context;
+      if (ctx.state === 'suspended') ctx.resume();
+      let t = ctx.currentTime;
+      pattern.forEach(({ freq, dur, type = 'sine', gain = 0.15 }) => {
+        const osc = ctx.createOscillator();
+        const amp = ctx.createGain();
+        osc.type = type;
+        osc.frequency.value = freq;
+        amp.gain.setValueAtTime(gain, t);
+        amp.gain.exponentialRampToValueAtTime(0.001, t + dur);
+        osc.connect(amp).connect(ctx.destination);
+        osc.start(t);
+        osc.stop(t + dur);
+        t += dur;
+      });
+    } catch (e) { }
+  }
+};
@@ -0,0 +1,16 @@
+// ============ MOBILE-COMPATIBLE STORAGE ============
+export const storage = {
+  get: async (key) => {
+    try {
+      if (window.storage?.get) return await window.storage.get(key);
+      const value = localStorage.getItem(key);
+      return value ? { value } : null;
+    } catch (e) { return null; }
+  },
+  set: async (key, value) => {
+    try {
+      if (window.storage?.set) return await window.storage.set(key, value);
+      localStorage.setItem(key, value);
+    } catch (e) { }
+  }
+};
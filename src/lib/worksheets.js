@@ -0,0 +1,45 @@
+// ============ WORKSHEETS ============
+// A published spreadsheet serves each tab by its gid; settings keep the known tabs per subject and the gids to play
+export const WORKSHEET_SETTINGS = {
+  math: { urlKey: 'mathSheetUrl', tabsKey: 'mathWorksheets', selectedKey: 'selectedMathWorksheet' },
+  english: { urlKey: 'englishSheetUrl', tabsKey: 'englishWorksheets', selectedKey: 'selectedEnglishWorksheet' }
+};
+
+const getWorksheetUrl = (sheetUrl, gid) => {
+  try {
+    const url = new URL(sheetUrl);
+    url.searchParams.set('gid', gid);
+    url.searchParams.set('single', 'true');
+    url.searchParams.set('output', 'csv');
+    return url.toString();
+  } catch (e) {
+    return sheetUrl;
+  }
+};
+
+// Nothing ticked (or the old '1' setting) plays the link's default tab
+export const getSelectedWorksheets = (settings, subject) => {
+  const { tabsKey, selectedKey } = WORKSHEET_SETTINGS[subject];
+  const selected = Array.isArray(settings[selectedKey]) ? settings[selectedKey] : [];
+  return (settings[tabsKey] || []).filter(tab => selected.includes(tab.gid));
+};
+
+// [{ name, url }] for each tab to load; name is '' for the default tab
+export const getWorksheetSources = (settings, subject) => {
+  const sheetUrl = settings[WORKSHEET_SETTINGS[subject].urlKey];
+  const tabs = getSelectedWorksheets(settings, subject);
+  return tabs.length ? tabs.map(tab => ({ name: tab.name, url: getWorksheetUrl(sheetUrl, tab.gid) })) : [{ name: '', url: sheetUrl }];
+};
+
+// Reads the tab bar of the spreadsheet's "Publish to web" page; single-tab spreadsheets have none
+export const fetchWorksheetTabs = async (sheetUrl) => {
+  const url = new URL(sheetUrl);
+  url.pathname = url.pathname.replace(/\/pub$/, '/pubhtml');
+  url.search = '';
+  const res = await fetch(url.toString());
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+  const tabs = [...doc.querySelectorAll('[id^="sheet-button-"]')].map(el => ({ gid: el.id.replace('sheet-button-', ''), name: el.textContent.trim() }));
+  if (tabs.length === 0) throw new Error('No tabs found on the published page');
+  return tabs;
+};
@@ -0,0 +1,6 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import LearningGalaxy from './App';
+import './styles.css';
+
+createRoot(document.getElementById('root')).render(<LearningGalaxy />);
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { getPlayerName } from '../lib/profiles';
+import { StarIcon, SpaceBackground } from '../components/shared';
+import { ParentGateOverlay } from '../components/ParentGate';
+import { SUBJECTS, getGameInfo } from '../games/registry';
+
+// ============ LEADERBOARD PAGE ============
+export const Leaderboard = ({ onBack, leaderboard, profiles = [], syncStatus, onReset }) => {
+  const [filter, setFilter] = useState('all');
+  const [resetting, setResetting] = useState(false);
+  const filtered = filter === 'all' ? leaderboard : leaderboard.filter(s => getGameInfo(s.game)?.subject === filter);
+  const sorted = [...filtered].sort((a, b) => b.stars - a.stars).slice(0, 10);
+
+  return (
+    <SpaceBackground>
+      {resetting && <ParentGateOverlay title="Reset leaderboard?" onUnlock={() => { setResetting(false); onReset(); }} onCancel={() => setResetting(false)} />}
+      <div className="flex flex-col items-center h-full pt-8 px-4 overflow-y-auto">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-2">🏆 Leaderboard</h1>
+        {syncStatus?.enabled && (
+          <p className={`text-xs mb-4 ${syncStatus.error ? 'text-yellow-300' : 'text-green-300'}`}>
+            {syncStatus.error ? '📴 Shared leaderboard unreachable, showing last copy' : '🌐 Shared leaderboard'}
+            {syncStatus.pending > 0 && ` • ${syncStatus.pending} score${syncStatus.pending === 1 ? '' : 's'} waiting to upload`}
+          </p>
+        )}
+        {!syncStatus?.enabled && <div className="mb-4" />}
+        <div className="flex gap-2 mb-6 relative z-20">
+          {['all', ...SUBJECTS.map(subject => subject.id)].map(f => (
+            <button key={f} onClick={() => setFilter(f)} className={`px-4 py-2 rounded-full font-bold capitalize cursor-pointer ${filter === f ? 'bg-yellow-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{f}</button>
+          ))}
+        </div>
+        <div className="w-full max-w-md bg-gray-900/80 rounded-2xl p-4 backdrop-blur relative z-20">
+          {sorted.length === 0 ? <p className="text-center text-gray-400 py-8">No scores yet!</p> : (
+            <div className="space-y-2">
+              {sorted.map((score, i) => {
+                const gameInfo = getGameInfo(score.game);
+                return (
+                  <div key={score.id || i} className={`flex items-center gap-3 p-3 rounded-lg ${i === 0 ? 'bg-yellow-500/20' : 'bg-gray-800/50'}`}>
+                    <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold ${i === 0 ? 'bg-yellow-500 text-black' : 'bg-gray-700 text-white'}`}>{i + 1}</div>
+                    <div className="flex-1"><div className="text-white font-bold">{profiles.find(p => p.id === score.profileId)?.avatar || score.avatar} {getPlayerName(score, profiles)}</div><div className="text-gray-400 text-xs">{gameInfo?.title}</div></div>
+                    <div className="flex items-center gap-1 text-yellow-400 font-bold"><StarIcon className="w-4 h-4" />{score.stars}</div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+        {onReset && (
+          <div className="w-full max-w-md text-center my-6 relative z-20">
+            <button onClick={() => setResetting(true)} className="text-gray-400 text-sm hover:text-red-400 cursor-pointer">🗑️ Reset scores on this device</button>
+            {syncStatus?.enabled && <p className="text-gray-500 text-xs mt-1">Scores already on the shared leaderboard stay there</p>}
+          </div>
+        )}
+      </div>
+    </SpaceBackground>
+  );
+};
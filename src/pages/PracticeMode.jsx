@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { getQuestionKey, attemptLog } from '../lib/attemptLog';
+import { buildLeitnerBoxes, isDueForPractice, createLeitnerScheduler } from '../lib/schedulers';
+import { LoadingSpinner, SpaceBackground } from '../components/shared';
+import { SheetBasedGame } from '../games/SheetBasedGame';
+import { PRACTICE_GAME } from '../games/registry';
+
+// ============ PRACTICE MODE ============
+export const PracticeMode = ({ profile, settings, sheets, onBack, onGameEnd, onToggleSound }) => {
+  const [boxes, setBoxes] = useState(null);
+  const [scheduler, setScheduler] = useState(null);
+
+  useEffect(() => {
+    attemptLog.load().then(attempts => {
+      const built = buildLeitnerBoxes(attempts, profile?.id);
+      setBoxes(built);
+      setScheduler(createLeitnerScheduler(built));
+    });
+  }, [profile?.id]);
+
+  if (!boxes) return <SpaceBackground><div className="flex items-center justify-center h-full"><LoadingSpinner /></div></SpaceBackground>;
+
+  const now = Date.now();
+  if (!Object.keys(boxes).some(key => isDueForPractice(boxes, key, now))) {
+    return (
+      <SpaceBackground>
+        <div className="flex flex-col items-center justify-center h-full px-4 text-center">
+          <div className="text-6xl mb-4">🎉</div>
+          <h1 className="text-3xl font-bold text-white mb-2">Nothing to practice right now!</h1>
+          <p className="text-purple-300 mb-6">Missed questions will show up here when it's time to review them.</p>
+          <button onClick={onBack} className="bg-gray-600 text-white px-6 py-3 rounded-full font-bold hover:bg-gray-500 cursor-pointer relative z-20">HOME</button>
+        </div>
+      </SpaceBackground>
+    );
+  }
+
+  return (
+    <SheetBasedGame onBack={onBack} difficulty="All" onGameEnd={onGameEnd} settings={settings} sheets={sheets} gameId={PRACTICE_GAME.id}
+      title={PRACTICE_GAME.title} icon={PRACTICE_GAME.icon} color={PRACTICE_GAME.color} variant="default" profile={profile}
+      scheduler={scheduler} onToggleSound={onToggleSound} questionFilter={(q) => isDueForPractice(boxes, getQuestionKey(q.game_type, q), now)} />
+  );
+};
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { PROFILE_AVATARS, GRADE_LEVELS, normalizeName, createProfile } from '../lib/profiles';
+import { SpaceBackground } from '../components/shared';
+import { ParentGateOverlay } from '../components/ParentGate';
+
+// ============ PROFILES PAGE ============
+const ProfileEditor = ({ initial, onSave, onCancel }) => {
+  const [name, setName] = useState(initial?.name || '');
+  const [avatar, setAvatar] = useState(initial?.avatar || PROFILE_AVATARS[0]);
+  const [grade, setGrade] = useState(initial?.grade || '3');
+
+  return (
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+      <input type="text" placeholder="Player name" value={name} onChange={(e) => setName(e.target.value)} maxLength={20}
+        className="w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none mb-4" />
+      <div className="grid grid-cols-6 gap-2 mb-4">
+        {PROFILE_AVATARS.map(a => (
+          <button key={a} onClick={() => setAvatar(a)} className={`text-3xl p-2 rounded-xl cursor-pointer ${avatar === a ? 'bg-yellow-500/40 ring-2 ring-yellow-400' : 'bg-gray-800/70'}`}>{a}</button>
+        ))}
+      </div>
+      <div className="flex items-center gap-3 mb-4">
+        <span className="text-gray-300 text-sm">Grade</span>
+        <select value={grade} onChange={(e) => setGrade(e.target.value)} className="flex-1 px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+          {GRADE_LEVELS.map(g => <option key={g} value={g}>{g === 'K' ? 'Kindergarten' : `Grade ${g}`}</option>)}
+        </select>
+      </div>
+      <div className="flex gap-3">
+        <button onClick={onCancel} className="flex-1 bg-gray-600 text-white px-4 py-3 rounded-full font-bold hover:bg-gray-500 cursor-pointer">Cancel</button>
+        <button onClick={() => onSave({ name: name.trim(), avatar, grade })} disabled={!name.trim()}
+          className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 text-white px-4 py-3 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer disabled:opacity-50">Save</button>
+      </div>
+    </div>
+  );
+};
+
+export const ProfilesPage = ({ profiles, activeProfileId, onSelect, onSaveProfiles, onBack }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [gatedDeleteId, setGatedDeleteId] = useState(null);
+  const [error, setError] = useState('');
+
+  const isDuplicate = (name, id) => profiles.some(p => p.id !== id && normalizeName(p.name) === normalizeName(name));
+
+  const handleSave = (values) => {
+    if (isDuplicate(values.name, editingId)) { setError(`"${values.name}" already has a profile`); return; }
+    const updated = editingId === 'new'
+      ? [...profiles, createProfile(values.name, values.avatar, values.grade)]
+      : profiles.map(p => p.id === editingId ? { ...p, ...values } : p);
+    onSaveProfiles(updated);
+    if (editingId === 'new' && !activeProfileId) onSelect(updated[updated.length - 1].id);
+    setEditingId(null);
+    setError('');
+  };
+
+  const handleDelete = (id) => {
+    onSaveProfiles(profiles.filter(p => p.id !== id));
+    if (id === activeProfileId) onSelect(null);
+    setConfirmDeleteId(null);
+    setGatedDeleteId(null);
+  };
+
+  return (
+    <SpaceBackground>
+      {gatedDeleteId && <ParentGateOverlay title="Delete player?" onUnlock={() => handleDelete(gatedDeleteId)} onCancel={() => { setGatedDeleteId(null); setConfirmDeleteId(null); }} />}
+      <div className="flex flex-col items-center h-full px-4 py-8 overflow-y-auto">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-8 pt-8">👥 Players</h1>
+        <div className="w-full max-w-lg space-y-3 relative z-20">
+          {error && <p className="text-red-400 text-sm text-center">{error}</p>}
+          {profiles.map(p => editingId === p.id ? (
+            <ProfileEditor key={p.id} initial={p} onSave={handleSave} onCancel={() => { setEditingId(null); setError(''); }} />
+          ) : (
+            <div key={p.id} className={`flex items-center gap-3 p-4 rounded-2xl ${p.id === activeProfileId ? 'bg-yellow-500/20 border border-yellow-500/50' : 'bg-gray-900/80'}`}>
+              <button onClick={() => { onSelect(p.id); onBack(); }} className="flex-1 flex items-center gap-3 text-left cursor-pointer">
+                <span className="text-4xl">{p.avatar}</span>
+                <div>
+                  <div className="text-white font-bold text-lg">{p.name}</div>
+                  <div className="text-gray-400 text-xs">{p.grade === 'K' ? 'Kindergarten' : `Grade ${p.grade}`}{p.id === activeProfileId ? ' • Playing now' : ''}</div>
+                </div>
+              </button>
+              {confirmDeleteId === p.id ? (
+                <>
+                  <button onClick={() => setGatedDeleteId(p.id)} className="bg-red-500 text-white px-3 py-2 rounded-full text-sm font-bold cursor-pointer">Delete</button>
+                  <button onClick={() => setConfirmDeleteId(null)} className="bg-gray-600 text-white px-3 py-2 rounded-full text-sm cursor-pointer">Keep</button>
+                </>
+              ) : (
+                <>
+                  <button onClick={() => setEditingId(p.id)} className="w-10 h-10 rounded-full bg-gray-700 text-white hover:bg-gray-600 cursor-pointer">✏️</button>
+                  <button onClick={() => setConfirmDeleteId(p.id)} className="w-10 h-10 rounded-full bg-gray-700 text-white hover:bg-red-600 cursor-pointer">🗑️</button>
+                </>
+              )}
+            </div>
+          ))}
+          {editingId === 'new' ? (
+            <ProfileEditor onSave={handleSave} onCancel={() => { setEditingId(null); setError(''); }} />
+          ) : (
+            <button onClick={() => setEditingId('new')} className="w-full bg-gradient-to-r from-purple-500 to-indigo-500 text-white px-6 py-4 rounded-full text-lg font-bold hover:scale-105 transition-transform cursor-pointer">➕ New Player</button>
+          )}
+        </div>
+      </div>
+    </SpaceBackground>
+  );
+};
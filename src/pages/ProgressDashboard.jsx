@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { attemptLog } from '../lib/attemptLog';
+import { lastNDays, buildDailySeries, buildSkillMastery, compareWeeks } from '../lib/progressStats';
+import { LoadingSpinner, SpaceBackground } from '../components/shared';
+import { getAllGames, getGameInfo } from '../games/registry';
+
+// ============ PROGRESS DASHBOARD ============
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const CHART_PAD = { top: 10, right: 10, bottom: 22, left: 30 };
+const masteryColor = (accuracy) => `hsl(${Math.round(accuracy * 1.2)}, 70%, 40%)`;
+
+// Plain SVG line chart; points with a null value are skipped and the line joins across the gap
+const LineChart = ({ points, max, color, format = (v) => v }) => {
+  const innerW = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const top = Math.max(max ?? Math.max(...points.map(p => p.value ?? 0)), 1);
+  const x = (i) => CHART_PAD.left + (points.length > 1 ? i * innerW / (points.length - 1) : innerW / 2);
+  const y = (v) => CHART_PAD.top + innerH - (v / top) * innerH;
+  const plotted = points.map((p, i) => ({ ...p, i })).filter(p => p.value !== null);
+  const path = plotted.map((p, n) => `${n ? 'L' : 'M'}${x(p.i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      {[0, 0.5, 1].map(f => (
+        <g key={f}>
+          <line x1={CHART_PAD.left} x2={CHART_WIDTH - CHART_PAD.right} y1={y(top * f)} y2={y(top * f)} stroke="#374151" strokeDasharray="3 3" />
+          <text x={CHART_PAD.left - 4} y={y(top * f) + 3} textAnchor="end" fontSize="9" fill="#9ca3af">{format(Math.round(top * f))}</text>
+        </g>
+      ))}
+      <text x={CHART_PAD.left} y={CHART_HEIGHT - 6} fontSize="9" fill="#9ca3af">{points[0]?.label}</text>
+      <text x={CHART_WIDTH - CHART_PAD.right} y={CHART_HEIGHT - 6} textAnchor="end" fontSize="9" fill="#9ca3af">{points[points.length - 1]?.label}</text>
+      {plotted.length > 1 && <path d={path} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />}
+      {plotted.map(p => <circle key={p.i} cx={x(p.i)} cy={y(p.value)} r="3" fill={color}><title>{`${p.label}: ${format(p.value)}`}</title></circle>)}
+      {plotted.length === 0 && <text x={CHART_WIDTH / 2} y={CHART_HEIGHT / 2} textAnchor="middle" fontSize="11" fill="#6b7280">No plays in this period</text>}
+    </svg>
+  );
+};
+
+const BarChart = ({ points, color, format = (v) => v }) => {
+  const innerW = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const innerH = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const top = Math.max(...points.map(p => p.value), 1);
+  const slot = innerW / points.length;
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      <line x1={CHART_PAD.left} x2={CHART_WIDTH - CHART_PAD.right} y1={CHART_PAD.top + innerH} y2={CHART_PAD.top + innerH} stroke="#374151" />
+      <text x={CHART_PAD.left - 4} y={CHART_PAD.top + 3} textAnchor="end" fontSize="9" fill="#9ca3af">{format(top)}</text>
+      {points.map((p, i) => {
+        const h = (p.value / top) * innerH;
+        return (
+          <g key={i}>
+            <rect x={CHART_PAD.left + i * slot + slot * 0.15} y={CHART_PAD.top + innerH - h} width={slot * 0.7} height={h} rx="2" fill={color}><title>{`${p.label}: ${format(p.value)}`}</title></rect>
+            {(i === 0 || i === points.length - 1) && <text x={CHART_PAD.left + i * slot + slot / 2} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="9" fill="#9ca3af">{p.label}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const shortDay = (dayKey) => { const [, m, d] = dayKey.split('-'); return `${Number(d)}/${Number(m)}`; };
+
+const WeekComparison = ({ current, previous }) => {
+  const rows = [
+    { label: 'Games played', key: 'games' },
+    { label: 'Stars earned', key: 'stars' },
+    { label: 'Questions answered', key: 'questions' },
+    { label: 'Accuracy', key: 'accuracy', suffix: '%' },
+    { label: 'Minutes answering', key: 'minutes' }
+  ];
+  return (
+    <div className="space-y-2">
+      {rows.map(({ label, key, suffix = '' }) => {
+        const now = current[key], before = previous[key];
+        const delta = now !== null && before !== null ? now - before : null;
+        return (
+          <div key={key} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/50">
+            <span className="text-gray-300">{label}</span>
+            <span className="text-white font-bold">
+              <span className="text-gray-500 font-normal text-sm mr-2">{before === null ? '—' : `${before}${suffix}`} →</span>
+              {now === null ? '—' : `${now}${suffix}`}
+              {delta !== null && delta !== 0 && <span className={`ml-2 text-sm ${delta > 0 ? 'text-green-400' : 'text-red-400'}`}>{delta > 0 ? '▲' : '▼'} {Math.abs(delta)}{suffix}</span>}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const MASTERY_WEEKS = 8;
+const CHART_RANGES = [{ days: 14, label: '2 weeks' }, { days: 30, label: '30 days' }, { days: 90, label: '90 days' }];
+
+export const ProgressDashboard = ({ profile, leaderboard, onBack }) => {
+  const [attempts, setAttempts] = useState(null);
+  const [gameId, setGameId] = useState('all');
+  const [rangeDays, setRangeDays] = useState(30);
+
+  useEffect(() => {
+    attemptLog.load().then(all => setAttempts(all.filter(a => a.profileId === profile.id)));
+  }, [profile.id]);
+
+  if (!attempts) return <SpaceBackground><div className="flex items-center justify-center h-full"><LoadingSpinner /></div></SpaceBackground>;
+
+  const entries = leaderboard.filter(e => e.profileId === profile.id);
+  const playedGames = getAllGames().filter(g => entries.some(e => e.game === g.id) || attempts.some(a => a.game === g.id));
+  const gameAttempts = gameId === 'all' ? attempts : attempts.filter(a => a.game === gameId);
+  const gameEntries = gameId === 'all' ? entries : entries.filter(e => e.game === gameId);
+  const trend = buildDailySeries(gameAttempts, gameEntries, lastNDays(rangeDays));
+  const daily = buildDailySeries(attempts, entries, lastNDays(14));
+  const mastery = buildSkillMastery(attempts, MASTERY_WEEKS);
+  const weeks = compareWeeks(attempts, entries);
+
+  return (
+    <SpaceBackground variant="default">
+      <div className="flex flex-col items-center h-full pt-8 px-4 overflow-y-auto pb-8">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-2">{profile.avatar} {profile.name}'s Progress</h1>
+        <p className="text-gray-400 text-sm mb-6">Accuracy, skills and time come from questions answered on this device</p>
+
+        {entries.length === 0 && attempts.length === 0 ? (
+          <div className="bg-gray-900/80 rounded-2xl p-8 backdrop-blur text-center">
+            <div className="text-6xl mb-4">📈</div>
+            <p className="text-gray-400">No games yet! Progress shows up after {profile.name} plays.</p>
+          </div>
+        ) : (
+          <div className="w-full max-w-4xl space-y-6 relative z-20">
+            <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-2xl font-bold text-white">📈 Over Time</h2>
+                <div className="flex gap-2">
+                  <select value={gameId} onChange={(e) => setGameId(e.target.value)} className="px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+                    <option value="all">All games</option>
+                    {playedGames.map(g => <option key={g.id} value={g.id}>{g.icon} {g.title}</option>)}
+                  </select>
+                  <select value={rangeDays} onChange={(e) => setRangeDays(Number(e.target.value))} className="px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+                    {CHART_RANGES.map(r => <option key={r.days} value={r.days}>{r.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="grid md:grid-cols-2 gap-4">
+                <div>
+                  <div className="text-yellow-300 text-sm font-bold mb-1">⭐ Stars per day</div>
+                  <LineChart points={trend.map(p => ({ label: shortDay(p.day), value: p.stars }))} color="#facc15" />
+                </div>
+                <div>
+                  <div className="text-green-300 text-sm font-bold mb-1">🎯 Accuracy per day</div>
+                  <LineChart points={trend.map(p => ({ label: shortDay(p.day), value: p.accuracy }))} max={100} color="#4ade80" format={(v) => `${v}%`} />
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+              <h2 className="text-2xl font-bold text-white mb-1">🧩 Skill Mastery</h2>
+              <p className="text-gray-400 text-sm mb-4">Accuracy per skill, week by week. Empty squares mean the skill wasn't practiced that week.</p>
+              {mastery.length === 0 ? <p className="text-gray-500">No answered questions yet.</p> : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-gray-400 text-xs">
+                        <th className="text-left font-normal pb-2">Skill</th>
+                        {Array.from({ length: MASTERY_WEEKS }, (_, i) => <th key={i} className="font-normal pb-2">{i === MASTERY_WEEKS - 1 ? 'This wk' : `-${MASTERY_WEEKS - 1 - i}w`}</th>)}
+                        <th className="font-normal pb-2">All</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mastery.map(row => {
+                        const game = getGameInfo(row.game);
+                        const overall = Math.round(100 * row.correct / row.total);
+                        return (
+                          <tr key={row.key}>
+                            <td className="text-white pr-3 py-1 whitespace-nowrap">{game?.icon || '🎮'} {row.skill}</td>
+                            {row.weeks.map((cell, i) => {
+                              const accuracy = cell.total ? Math.round(100 * cell.correct / cell.total) : null;
+                              return (
+                                <td key={i} className="p-0.5">
+                                  <div title={accuracy === null ? 'Not practiced' : `${cell.correct}/${cell.total} correct`}
+                                    className="h-7 min-w-[2rem] rounded flex items-center justify-center text-xs text-white"
+                                    style={{ background: accuracy === null ? 'rgba(55, 65, 81, 0.4)' : masteryColor(accuracy) }}>
+                                    {accuracy === null ? '' : accuracy}
+                                  </div>
+                                </td>
+                              );
+                            })}
+                            <td className="p-0.5">
+                              <div title={`${row.correct}/${row.total} correct`} className="h-7 min-w-[2.5rem] rounded flex items-center justify-center text-xs text-white font-bold" style={{ background: masteryColor(overall) }}>{overall}%</div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+                <h2 className="text-2xl font-bold text-white mb-4">⏱️ Time per Day</h2>
+                <BarChart points={daily.map(p => ({ label: shortDay(p.day), value: p.minutes }))} color="#a78bfa" format={(v) => `${v}m`} />
+                <p className="text-gray-500 text-xs mt-2">Minutes spent answering questions over the last 2 weeks</p>
+              </div>
+              <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+                <h2 className="text-2xl font-bold text-white mb-4">📅 This Week vs Last Week</h2>
+                <WeekComparison current={weeks.current} previous={weeks.previous} />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </SpaceBackground>
+  );
+};
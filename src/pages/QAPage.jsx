@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { normalizeName, getPlayerName } from '../lib/profiles';
+import { StarIcon, SpaceBackground } from '../components/shared';
+import { getGameInfo } from '../games/registry';
+import { ProgressDashboard } from './ProgressDashboard';
+
+// ============ QA ANALYTICS PAGE ============
+export const QAPage = ({ onBack, leaderboard, profiles = [] }) => {
+  const [progressProfile, setProgressProfile] = useState(null);
+  if (progressProfile) return <ProgressDashboard profile={progressProfile} leaderboard={leaderboard} onBack={() => setProgressProfile(null)} />;
+
+  // Calculate analytics
+  const totalGames = leaderboard.length;
+  const totalStars = leaderboard.reduce((sum, s) => sum + s.stars, 0);
+  const avgStars = totalGames > 0 ? Math.round(totalStars / totalGames) : 0;
+  const bestStreak = leaderboard.reduce((max, s) => Math.max(max, s.streak || 0), 0);
+
+  // Games played breakdown
+  const mathGames = leaderboard.filter(s => getGameInfo(s.game)?.subject === 'math').length;
+  const englishGames = leaderboard.filter(s => getGameInfo(s.game)?.subject === 'english').length;
+
+  // Most played game
+  const gameCount = {};
+  leaderboard.forEach(s => {
+    gameCount[s.game] = (gameCount[s.game] || 0) + 1;
+  });
+  const mostPlayedGameId = Object.keys(gameCount).reduce((a, b) => gameCount[a] > gameCount[b] ? a : b, '');
+  const mostPlayedGame = getGameInfo(mostPlayedGameId);
+
+  // Top performers (best game per player)
+  const playerKey = (s) => s.profileId || normalizeName(s.name);
+  const topPerformers = [...leaderboard]
+    .sort((a, b) => b.stars - a.stars)
+    .reduce((acc, curr) => {
+      if (!acc.find(p => playerKey(p) === playerKey(curr))) {
+        acc.push(curr);
+      }
+      return acc;
+    }, [])
+    .slice(0, 5);
+
+  // Recent activity (last 10 games)
+  const recentGames = [...leaderboard]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 10);
+
+  return (
+    <SpaceBackground variant="default">
+      <div className="flex flex-col items-center h-full pt-8 px-4 overflow-y-auto pb-8">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-6">📊 QA Analytics</h1>
+
+        {profiles.length > 0 && (
+          <div className="w-full max-w-4xl bg-gray-900/80 rounded-2xl p-6 backdrop-blur mb-6 relative z-20">
+            <h2 className="text-2xl font-bold text-white mb-4">📈 Progress by Child</h2>
+            <div className="flex flex-wrap gap-3">
+              {profiles.map(p => (
+                <button key={p.id} onClick={() => setProgressProfile(p)} className="flex items-center gap-2 px-4 py-2 rounded-full bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold hover:scale-105 transition-transform cursor-pointer">
+                  <span className="text-xl">{p.avatar}</span>{p.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {totalGames === 0 ? (
+          <div className="bg-gray-900/80 rounded-2xl p-8 backdrop-blur text-center">
+            <div className="text-6xl mb-4">📈</div>
+            <p className="text-gray-400">No data yet! Play some games to see analytics.</p>
+          </div>
+        ) : (
+          <div className="w-full max-w-4xl space-y-6 relative z-20">
+            {/* Summary Stats */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-gradient-to-br from-purple-600 to-purple-700 rounded-2xl p-4 text-center">
+                <div className="text-3xl font-bold text-white">{totalGames}</div>
+                <div className="text-purple-200 text-sm">Total Games</div>
+              </div>
+              <div className="bg-gradient-to-br from-yellow-500 to-orange-500 rounded-2xl p-4 text-center">
+                <div className="text-3xl font-bold text-white">{totalStars}</div>
+                <div className="text-yellow-100 text-sm">Total Stars</div>
+              </div>
+              <div className="bg-gradient-to-br from-green-500 to-emerald-600 rounded-2xl p-4 text-center">
+                <div className="text-3xl font-bold text-white">{avgStars}</div>
+                <div className="text-green-100 text-sm">Avg Stars</div>
+              </div>
+              <div className="bg-gradient-to-br from-red-500 to-orange-600 rounded-2xl p-4 text-center">
+                <div className="text-3xl font-bold text-white">{bestStreak}</div>
+                <div className="text-red-100 text-sm">Best Streak</div>
+              </div>
+            </div>
+
+            {/* Subject Breakdown */}
+            <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+              <h2 className="text-2xl font-bold text-white mb-4">📚 Subject Breakdown</h2>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="bg-purple-500/20 rounded-xl p-4 border border-purple-500/50">
+                  <div className="text-4xl mb-2">🔢</div>
+                  <div className="text-2xl font-bold text-white">{mathGames}</div>
+                  <div className="text-purple-200 text-sm">Math Games</div>
+                </div>
+                <div className="bg-blue-500/20 rounded-xl p-4 border border-blue-500/50">
+                  <div className="text-4xl mb-2">📚</div>
+                  <div className="text-2xl font-bold text-white">{englishGames}</div>
+                  <div className="text-blue-200 text-sm">English Games</div>
+                </div>
+              </div>
+            </div>
+
+            {/* Most Played Game */}
+            {mostPlayedGame && (
+              <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+                <h2 className="text-2xl font-bold text-white mb-4">🎮 Most Played Game</h2>
+                <div className={`bg-gradient-to-br ${mostPlayedGame.color} rounded-xl p-6`}>
+                  <div className="flex items-center gap-4">
+                    <div className="text-5xl">{mostPlayedGame.icon}</div>
+                    <div>
+                      <div className="text-2xl font-bold text-white">{mostPlayedGame.title}</div>
+                      <div className="text-white/80 text-sm">Played {gameCount[mostPlayedGameId]} times</div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Top Performers */}
+            {topPerformers.length > 0 && (
+              <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+                <h2 className="text-2xl font-bold text-white mb-4">🌟 Top Performers</h2>
+                <div className="space-y-2">
+                  {topPerformers.map((player, i) => {
+                    const gameInfo = getGameInfo(player.game);
+                    return (
+                      <div key={i} className={`flex items-center gap-3 p-3 rounded-lg ${i === 0 ? 'bg-yellow-500/20 border border-yellow-500/50' : 'bg-gray-800/50'}`}>
+                        <div className={`w-8 h-8 rounded-full flex items-center justify-center font-bold ${i === 0 ? 'bg-yellow-500 text-black' : 'bg-gray-700 text-white'}`}>
+                          {i + 1}
+                        </div>
+                        <div className="flex-1">
+                          <div className="text-white font-bold">{getPlayerName(player, profiles)}</div>
+                          <div className="text-gray-400 text-xs">{gameInfo?.title}</div>
+                        </div>
+                        <div className="text-right">
+                          <div className="flex items-center gap-1 text-yellow-400 font-bold">
+                            <StarIcon className="w-4 h-4" />{player.stars}
+                          </div>
+                          <div className="text-orange-400 text-xs">🔥 {player.streak} streak</div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Recent Activity */}
+            <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+              <h2 className="text-2xl font-bold text-white mb-4">⏱️ Recent Activity</h2>
+              <div className="space-y-2">
+                {recentGames.map((game, i) => {
+                  const gameInfo = getGameInfo(game.game);
+                  const timeAgo = new Date(game.date).toLocaleDateString();
+                  return (
+                    <div key={i} className="flex items-center gap-3 p-3 rounded-lg bg-gray-800/50">
+                      <div className="text-2xl">{gameInfo?.icon || '🎮'}</div>
+                      <div className="flex-1">
+                        <div className="text-white font-medium">{getPlayerName(game, profiles)}</div>
+                        <div className="text-gray-400 text-xs">{gameInfo?.title} • {timeAgo}</div>
+                      </div>
+                      <div className="flex items-center gap-1 text-yellow-400 font-bold">
+                        <StarIcon className="w-4 h-4" />{game.stars}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </SpaceBackground>
+  );
+};
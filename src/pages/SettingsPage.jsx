@@ -0,0 +1,372 @@
+import React, { useState, useRef } from 'react';
+import { storage } from '../lib/storage';
+import { DEFAULT_SETTINGS } from '../config';
+import { DAILY_GOAL_TYPES } from '../lib/achievements';
+import { settingsSync } from '../lib/settingsSync';
+import { parentPin } from '../lib/parentPin';
+import { WORKSHEET_SETTINGS, fetchWorksheetTabs } from '../lib/worksheets';
+import { readBackupData, writeBackupData, makeBackup, validateBackup, planImport, leaderboardToCSV, downloadFile } from '../lib/backup';
+import { SpaceBackground } from '../components/shared';
+import { ParentGate } from '../components/ParentGate';
+import { SheetValidationReport } from '../components/SheetValidationReport';
+
+// ============ SETTINGS PAGE ============
+const BackupCard = ({ onImported }) => {
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const handleExport = async () => {
+    downloadFile(`learning-galaxy-backup-${today}.json`, JSON.stringify(await makeBackup(), null, 2), 'application/json');
+  };
+
+  const handleExportCSV = async () => {
+    const data = await readBackupData();
+    downloadFile(`learning-galaxy-scores-${today}.csv`, leaderboardToCSV(data['learning-galaxy-leaderboard'] || [], data['learning-galaxy-profiles'] || []), 'text/csv');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage(null);
+    try {
+      const bundle = JSON.parse(await file.text());
+      const problems = validateBackup(bundle);
+      if (problems.length) { setPreview(null); setMessage({ error: true, text: problems.join('. ') }); return; }
+      setPreview({ name: file.name, bundle, current: await readBackupData() });
+    } catch (err) {
+      setPreview(null);
+      setMessage({ error: true, text: `Could not read ${file.name}: ${err.message}` });
+    }
+  };
+
+  const plan = preview && planImport(preview.current, preview.bundle.data, mode);
+
+  const handleApply = async () => {
+    await writeBackupData(plan.next);
+    setPreview(null);
+    setMessage({ error: false, text: 'Backup imported' });
+    onImported();
+  };
+
+  return (
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+      <h2 className="text-xl font-bold text-white mb-4">💾 Backup</h2>
+      <p className="text-gray-400 text-sm mb-4">Save players, scores, history and settings to a file, or bring them onto this device</p>
+      <div className="flex gap-2 mb-3">
+        <button onClick={handleExport} className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-full font-bold hover:bg-gray-600 cursor-pointer">⬇️ Export</button>
+        <button onClick={() => fileInput.current?.click()} className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-full font-bold hover:bg-gray-600 cursor-pointer">⬆️ Import</button>
+        <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+      </div>
+      <button onClick={handleExportCSV} className="w-full text-gray-300 text-sm underline cursor-pointer">Scores as CSV for spreadsheets</button>
+      {message && <p className={`text-sm mt-3 ${message.error ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>}
+      {plan && (
+        <div className="mt-4 p-4 rounded-xl bg-gray-800/80">
+          <p className="text-white text-sm font-bold mb-1">{preview.name}</p>
+          <p className="text-gray-400 text-xs mb-3">Exported {new Date(preview.bundle.exportedAt).toLocaleString()}</p>
+          <div className="flex gap-2 mb-3">
+            {['merge', 'replace'].map(m => (
+              <button key={m} onClick={() => setMode(m)} className={`flex-1 px-3 py-1 rounded-full text-sm font-bold capitalize cursor-pointer ${mode === m ? 'bg-yellow-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{m}</button>
+            ))}
+          </div>
+          <div className="space-y-1 mb-3">
+            {plan.summary.map(line => (
+              <div key={line.label} className="flex justify-between text-xs text-white"><span>{line.label}</span><span className="text-gray-400">{line.detail}</span></div>
+            ))}
+          </div>
+          {mode === 'replace' && <p className="text-yellow-300 text-xs mb-3">Replace overwrites what is on this device with the file</p>}
+          <div className="flex gap-2">
+            <button onClick={handleApply} className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 text-white px-4 py-2 rounded-full font-bold hover:scale-105 transition-transform cursor-pointer">Import</button>
+            <button onClick={() => setPreview(null)} className="flex-1 bg-gray-600 text-white px-4 py-2 rounded-full font-bold hover:bg-gray-500 cursor-pointer">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Asks for the current PIN again so an unlocked, unattended settings page can't be used to take over the gate
+const ChangePinCard = () => {
+  const [form, setForm] = useState({ current: '', next: '', confirm: '' });
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleChange = async () => {
+    if (!/^\d{4,8}$/.test(form.next)) { setMessage({ error: true, text: 'New PIN must be 4 to 8 digits' }); return; }
+    if (form.next !== form.confirm) { setMessage({ error: true, text: "New PINs don't match" }); return; }
+    setBusy(true);
+    const result = await parentPin.verify(form.current);
+    if (result.ok) {
+      await parentPin.set(form.next);
+      setForm({ current: '', next: '', confirm: '' });
+      setMessage({ error: false, text: 'PIN changed' });
+    } else {
+      setMessage({ error: true, text: result.lockedUntil ? 'Too many wrong tries, try again later' : `Current PIN is wrong (${result.remaining} tries left)` });
+    }
+    setBusy(false);
+  };
+
+  const inputClass = 'flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none text-sm';
+  return (
+    <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+      <h2 className="text-xl font-bold text-white mb-4">🔐 Parent PIN</h2>
+      <div className="flex gap-2 mb-3">
+        <input type="password" inputMode="numeric" placeholder="Current" value={form.current} onChange={(e) => setForm({ ...form, current: e.target.value })} className={inputClass} />
+        <input type="password" inputMode="numeric" placeholder="New" value={form.next} onChange={(e) => setForm({ ...form, next: e.target.value })} className={inputClass} />
+        <input type="password" inputMode="numeric" placeholder="Repeat" value={form.confirm} onChange={(e) => setForm({ ...form, confirm: e.target.value })} className={inputClass} />
+      </div>
+      <button onClick={handleChange} disabled={busy || !form.current} className="w-full bg-gray-700 text-white px-6 py-2 rounded-full font-bold hover:bg-gray-600 cursor-pointer disabled:opacity-50">Change PIN</button>
+      {message && <p className={`text-sm mt-3 ${message.error ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>}
+    </div>
+  );
+};
+
+// Tabs for one subject: found from the published page or added by gid, ticked ones are played
+const WorksheetPicker = ({ subject, settings, onChange }) => {
+  const { urlKey, tabsKey, selectedKey } = WORKSHEET_SETTINGS[subject];
+  const tabs = settings[tabsKey] || [];
+  const selected = Array.isArray(settings[selectedKey]) ? settings[selectedKey] : [];
+  const [newTab, setNewTab] = useState({ name: '', gid: '' });
+  const [finding, setFinding] = useState(false);
+  const [findError, setFindError] = useState('');
+
+  const addTabs = (found) => {
+    const known = new Set(tabs.map(tab => tab.gid));
+    onChange({ [tabsKey]: [...tabs, ...found.filter(tab => !known.has(tab.gid))] });
+  };
+
+  const handleFind = async () => {
+    setFinding(true);
+    setFindError('');
+    try {
+      addTabs(await fetchWorksheetTabs(settings[urlKey]));
+    } catch (e) {
+      setFindError(`Couldn't list tabs (${e.message}). Add them by gid below.`);
+    }
+    setFinding(false);
+  };
+
+  const handleAdd = () => {
+    const gid = newTab.gid.trim();
+    if (!/^\d+$/.test(gid)) return;
+    addTabs([{ gid, name: newTab.name.trim() || `Tab ${gid}` }]);
+    setNewTab({ name: '', gid: '' });
+  };
+
+  const toggle = (gid) => onChange({ [selectedKey]: selected.includes(gid) ? selected.filter(g => g !== gid) : [...selected, gid] });
+  const remove = (gid) => onChange({ [tabsKey]: tabs.filter(tab => tab.gid !== gid), [selectedKey]: selected.filter(g => g !== gid) });
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-white font-bold text-sm">Worksheets</span>
+        <button onClick={handleFind} disabled={finding} className="text-xs bg-gray-700 text-white px-3 py-1 rounded-full hover:bg-gray-600 cursor-pointer disabled:opacity-50">
+          {finding ? 'Looking...' : '🔎 Find tabs'}
+        </button>
+      </div>
+      {findError && <p className="text-yellow-300 text-xs mb-2">{findError}</p>}
+      {tabs.map(tab => (
+        <div key={tab.gid} className="flex items-center gap-3 text-white text-sm py-1">
+          <label className="flex items-center gap-2 flex-1 cursor-pointer">
+            <input type="checkbox" checked={selected.includes(tab.gid)} onChange={() => toggle(tab.gid)} className="w-4 h-4 cursor-pointer" />
+            {tab.name} <span className="text-gray-500 text-xs">gid {tab.gid}</span>
+          </label>
+          <button onClick={() => remove(tab.gid)} className="text-gray-400 hover:text-red-400 cursor-pointer">✕</button>
+        </div>
+      ))}
+      <div className="flex gap-2 mt-2">
+        <input type="text" placeholder="Name (e.g. Week 2)" value={newTab.name} onChange={(e) => setNewTab({ ...newTab, name: e.target.value })}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none text-sm" />
+        <input type="text" inputMode="numeric" placeholder="gid" value={newTab.gid} onChange={(e) => setNewTab({ ...newTab, gid: e.target.value })}
+          className="w-24 px-3 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none text-sm font-mono" />
+        <button onClick={handleAdd} className="bg-gray-700 text-white px-3 py-2 rounded-lg text-sm hover:bg-gray-600 cursor-pointer">Add</button>
+      </div>
+      <p className="text-gray-400 text-xs mt-2">The gid is the number after #gid= in the sheet's address. With nothing ticked the link's first tab is used.</p>
+    </div>
+  );
+};
+
+export const SettingsPage = ({ settings, setSettings, onBack, onImported, settingsSyncStatus }) => {
+  const [localSettings, setLocalSettings] = useState(settings);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [urlErrors, setUrlErrors] = useState({ math: '', english: '' });
+  const [isUnlocked, setIsUnlocked] = useState(false);
+
+  const validateGoogleSheetUrl = (url) => {
+    if (!url || !url.trim()) return 'URL is required';
+
+    // Check if it's a valid Google Sheets published CSV URL
+    const googleSheetsPattern = /^https:\/\/docs\.google\.com\/spreadsheets\/d\/(e\/)?[\w-]+\/pub\?output=csv/;
+
+    if (!googleSheetsPattern.test(url)) {
+      return 'Invalid Google Sheets URL. Must be a published CSV link (File → Share → Publish to web → CSV)';
+    }
+
+    return '';
+  };
+
+  const handleMathUrlChange = (url) => {
+    setLocalSettings({ ...localSettings, mathSheetUrl: url });
+    setUrlErrors({ ...urlErrors, math: validateGoogleSheetUrl(url) });
+  };
+
+  const handleEnglishUrlChange = (url) => {
+    setLocalSettings({ ...localSettings, englishSheetUrl: url });
+    setUrlErrors({ ...urlErrors, english: validateGoogleSheetUrl(url) });
+  };
+
+  // Without a sync sheet this closes the page as before; with one it stays open to show whether the sheet took it
+  const handleSave = async () => {
+    const saved = { ...localSettings, updatedAt: new Date().toISOString() };
+    setLocalSettings(saved);
+    setSettings(saved);
+    try { await storage.set('learning-galaxy-settings', JSON.stringify(saved)); } catch (e) { }
+
+    const syncUrl = saved.settingsSheetUrl?.trim();
+    if (!syncUrl) { onBack(); return; }
+    setSaveStatus({ state: 'saving', message: 'Saving to the settings sheet...' });
+    try {
+      const { queued } = await settingsSync.push(syncUrl, saved);
+      setSaveStatus(queued
+        ? { state: 'ok', message: "✓ Saved on this device. You're offline, so it goes to the settings sheet when the connection is back" }
+        : { state: 'ok', message: '✓ Saved on this device and to the settings sheet' });
+    } catch (e) {
+      setSaveStatus({ state: 'error', message: `Saved on this device only. The settings sheet failed: ${e.message}` });
+    }
+  };
+
+  const handleReset = () => {
+    setLocalSettings(DEFAULT_SETTINGS);
+    setUrlErrors({ math: '', english: '' });
+  };
+
+  const isValid = !validateGoogleSheetUrl(localSettings.mathSheetUrl) && !validateGoogleSheetUrl(localSettings.englishSheetUrl);
+
+  if (!isUnlocked) {
+    return (
+      <SpaceBackground>
+        <div className="flex flex-col items-center justify-center h-full px-4">
+          <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+          <ParentGate title="Settings Locked" onUnlock={() => setIsUnlocked(true)} />
+        </div>
+      </SpaceBackground>
+    );
+  }
+
+  return (
+    <SpaceBackground>
+      <div className="flex flex-col items-center h-full px-4 py-8 overflow-y-auto">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-8 pt-8">⚙️ Settings</h1>
+        <div className="w-full max-w-lg space-y-6 relative z-20">
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">🔢 Math Questions Sheet</h2>
+            <textarea value={localSettings.mathSheetUrl} onChange={(e) => setLocalSettings({ ...localSettings, mathSheetUrl: e.target.value })}
+              className="w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none text-xs font-mono resize-none" rows={3} />
+            <WorksheetPicker subject="math" settings={localSettings} onChange={(patch) => setLocalSettings({ ...localSettings, ...patch })} />
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">📚 English Questions Sheet</h2>
+            <textarea value={localSettings.englishSheetUrl} onChange={(e) => setLocalSettings({ ...localSettings, englishSheetUrl: e.target.value })}
+              className="w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none text-xs font-mono resize-none" rows={3} />
+            <WorksheetPicker subject="english" settings={localSettings} onChange={(patch) => setLocalSettings({ ...localSettings, ...patch })} />
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">🎯 Default Difficulty</h2>
+            <p className="text-gray-400 text-sm mb-4">Choose "None" to let kids pick difficulty each game</p>
+            <select value={localSettings.defaultDifficulty} onChange={(e) => setLocalSettings({ ...localSettings, defaultDifficulty: e.target.value })}
+              className="w-full px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+              <option value="None">None (Choose per game)</option>
+              <option value="Easy">Easy</option>
+              <option value="Medium">Medium</option>
+              <option value="Hard">Hard</option>
+              <option value="Adaptive">Adaptive (adjusts while playing)</option>
+            </select>
+            <p className="text-gray-400 text-xs mt-2">When "None" is selected, you can choose difficulty before each game. Otherwise, only the selected difficulty will be available.</p>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">🔊 Sound</h2>
+            <label className="flex items-center gap-3 text-white cursor-pointer">
+              <input type="checkbox" checked={!!localSettings.soundEnabled} onChange={(e) => setLocalSettings({ ...localSettings, soundEnabled: e.target.checked })} className="w-5 h-5 cursor-pointer" />
+              Play sound effects
+            </label>
+            <p className="text-gray-400 text-xs mt-2">Kids can also mute with the 🔊 button during a game</p>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">💡 Explanations</h2>
+            <label className="flex items-center gap-3 text-white cursor-pointer">
+              <input type="checkbox" checked={!!localSettings.explainCorrectAnswers} onChange={(e) => setLocalSettings({ ...localSettings, explainCorrectAnswers: e.target.checked })} className="w-5 h-5 cursor-pointer" />
+              Also explain correct answers
+            </label>
+            <p className="text-gray-400 text-xs mt-2">Wrong answers always pause and show the sheet's know_more explanation</p>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">⌨️ Typed Answers</h2>
+            <label className="flex items-center gap-3 text-white cursor-pointer">
+              <input type="checkbox" checked={!!localSettings.typedMathAnswers} onChange={(e) => setLocalSettings({ ...localSettings, typedMathAnswers: e.target.checked })} className="w-5 h-5 cursor-pointer" />
+              Type math answers on a keypad instead of picking from four
+            </label>
+            <p className="text-gray-400 text-xs mt-2">Space Math, Planet Hopper, Fractions, Money and Time. Equivalent answers count: 2/4 for 1/2, $0.60 for 60¢, 3:5 for 3:05</p>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">🎲 Generated Math Questions</h2>
+            <p className="text-gray-400 text-sm mb-4">Math games can make up new questions at the chosen difficulty</p>
+            <select value={localSettings.generatedQuestions || 'off'} onChange={(e) => setLocalSettings({ ...localSettings, generatedQuestions: e.target.value })}
+              className="w-full px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+              <option value="off">Off (sheet questions only)</option>
+              <option value="refill">After the sheet runs out</option>
+              <option value="mix">Mix with sheet questions</option>
+              <option value="replace">Replace sheet questions</option>
+            </select>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">🎯 Daily Goal</h2>
+            <p className="text-gray-400 text-sm mb-4">Each player sees their progress toward this on the home screen</p>
+            <div className="flex gap-2">
+              <select value={DAILY_GOAL_TYPES[localSettings.dailyGoalType] ? localSettings.dailyGoalType : 'off'} onChange={(e) => setLocalSettings({ ...localSettings, dailyGoalType: e.target.value })}
+                className="flex-1 px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 cursor-pointer">
+                <option value="off">No daily goal</option>
+                <option value="games">Games per day</option>
+                <option value="stars">Stars per day</option>
+              </select>
+              {DAILY_GOAL_TYPES[localSettings.dailyGoalType] && (
+                <input type="number" min="1" value={localSettings.dailyGoalTarget} onChange={(e) => setLocalSettings({ ...localSettings, dailyGoalTarget: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  className="w-24 px-4 py-2 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none" />
+              )}
+            </div>
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">📊 Leaderboard Integration</h2>
+            <p className="text-gray-400 text-sm mb-4">Paste Google Apps Script Web App URL to save scores online</p>
+            <input type="text" placeholder="https://script.google.com/macros/s/..." value={localSettings.leaderboardUrl || ''} onChange={(e) => setLocalSettings({ ...localSettings, leaderboardUrl: e.target.value })}
+              className="w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none" />
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-xl font-bold text-white mb-4">⚙️ Settings Sync with Google Sheet</h2>
+            <p className="text-gray-400 text-sm mb-4">Paste Google Apps Script Web App URL to share settings between devices</p>
+            <input type="text" placeholder="https://script.google.com/macros/s/..." value={localSettings.settingsSheetUrl || ''} onChange={(e) => setLocalSettings({ ...localSettings, settingsSheetUrl: e.target.value })}
+              className="w-full px-4 py-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-yellow-500 focus:outline-none" />
+            <p className="text-gray-400 text-xs mt-2">💡 Saving sends settings to the sheet; on startup each device loads them if they are newer than its own</p>
+            {settingsSyncStatus && <p className={`text-xs mt-2 ${settingsSyncStatus.state === 'error' ? 'text-red-400' : 'text-green-300'}`}>On startup: {settingsSyncStatus.message}</p>}
+            {localSettings.updatedAt && <p className="text-gray-500 text-xs mt-1">Last saved on this device {new Date(localSettings.updatedAt).toLocaleString()}</p>}
+          </div>
+          <SheetValidationReport settings={localSettings} />
+          <BackupCard onImported={onImported} />
+          <ChangePinCard />
+          <div className="flex gap-3">
+            <button onClick={handleReset} className="flex-1 bg-gray-600 text-white px-6 py-4 rounded-full text-lg font-bold hover:bg-gray-500 transition-colors cursor-pointer">🔄 Reset</button>
+            <button onClick={handleSave} disabled={!isValid}
+              className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 text-white px-6 py-4 rounded-full text-lg font-bold hover:scale-105 transition-transform shadow-lg cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100">
+              💾 Save
+            </button>
+          </div>
+          <button onClick={handleSave} disabled={saveStatus?.state === 'saving'} className="w-full bg-gradient-to-r from-green-500 to-emerald-500 text-white px-8 py-4 rounded-full text-xl font-bold hover:scale-105 transition-transform shadow-lg cursor-pointer disabled:opacity-50">💾 Save Settings</button>
+          {saveStatus && <p className={`text-sm text-center ${saveStatus.state === 'error' ? 'text-red-400' : saveStatus.state === 'ok' ? 'text-green-400' : 'text-gray-300'}`}>{saveStatus.message}</p>}
+        </div>
+      </div>
+    </SpaceBackground>
+  );
+};
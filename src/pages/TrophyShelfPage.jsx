@@ -0,0 +1,90 @@
+import React, { useState, useMemo } from 'react';
+import { toDayKey } from '../lib/progressStats';
+import { summarizeDays, getDailyGoal, getGoalDays, getCurrentPlayStreak, getLongestPlayStreak, ACHIEVEMENTS, getEarnedAchievements } from '../lib/achievements';
+import { SpaceBackground } from '../components/shared';
+
+// ============ TROPHY SHELF ============
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const StreakCalendar = ({ entries, settings }) => {
+  const [monthOffset, setMonthOffset] = useState(0);
+  const played = summarizeDays(entries);
+  const goalDays = getGoalDays(entries, settings);
+  const today = toDayKey(Date.now());
+  const now = new Date();
+  const first = new Date(now.getFullYear(), now.getMonth() + monthOffset, 1);
+  const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  const cells = [...Array(first.getDay()).fill(null), ...Array.from({ length: daysInMonth }, (_, i) => toDayKey(new Date(first.getFullYear(), first.getMonth(), i + 1)))];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <button onClick={() => setMonthOffset(m => m - 1)} className="w-8 h-8 rounded-full bg-gray-700 text-white hover:bg-gray-600 cursor-pointer">‹</button>
+        <span className="text-white font-bold">{first.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</span>
+        <button onClick={() => setMonthOffset(m => m + 1)} disabled={monthOffset >= 0} className="w-8 h-8 rounded-full bg-gray-700 text-white hover:bg-gray-600 cursor-pointer disabled:opacity-30">›</button>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {WEEKDAYS.map((d, i) => <div key={i} className="text-gray-500 text-xs">{d}</div>)}
+        {cells.map((day, i) => {
+          if (!day) return <div key={i} />;
+          const stats = played[day];
+          const style = goalDays.has(day) ? 'bg-yellow-500 text-black font-bold' : stats ? 'bg-purple-500/70 text-white' : 'bg-gray-800/50 text-gray-500';
+          return (
+            <div key={i} title={stats ? `${stats.games} games, ${stats.stars} stars` : 'No games'}
+              className={`h-9 rounded-lg flex items-center justify-center text-sm ${style} ${day === today ? 'ring-2 ring-white' : ''}`}>
+              {Number(day.slice(-2))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-4 justify-center mt-3 text-xs text-gray-400">
+        <span><span className="inline-block w-3 h-3 rounded bg-purple-500/70 mr-1" />Played</span>
+        {getDailyGoal(settings) && <span><span className="inline-block w-3 h-3 rounded bg-yellow-500 mr-1" />Goal reached</span>}
+      </div>
+    </div>
+  );
+};
+
+export const TrophyShelfPage = ({ profile, leaderboard, settings, onBack }) => {
+  const entries = leaderboard.filter(e => e.profileId === profile.id);
+  const earned = useMemo(() => getEarnedAchievements(entries), [leaderboard, profile.id]);
+  const currentStreak = getCurrentPlayStreak(entries);
+  const longestStreak = getLongestPlayStreak(entries);
+
+  return (
+    <SpaceBackground variant="default">
+      <div className="flex flex-col items-center h-full pt-8 px-4 overflow-y-auto pb-8">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <h1 className="text-4xl font-bold text-white mb-6">🏅 {profile.name}'s Trophies</h1>
+        <div className="w-full max-w-2xl space-y-6 relative z-20">
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <div className="flex justify-around text-center mb-4">
+              <div>
+                <div className="text-3xl font-bold text-orange-400">📅 {currentStreak}</div>
+                <div className="text-gray-400 text-sm">day streak</div>
+              </div>
+              <div>
+                <div className="text-3xl font-bold text-purple-300">{longestStreak}</div>
+                <div className="text-gray-400 text-sm">longest streak</div>
+              </div>
+            </div>
+            <StreakCalendar entries={entries} settings={settings} />
+          </div>
+          <div className="bg-gray-900/80 rounded-2xl p-6 backdrop-blur">
+            <h2 className="text-2xl font-bold text-white mb-4">🏆 Badges ({Object.keys(earned).length}/{ACHIEVEMENTS.length})</h2>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {ACHIEVEMENTS.map(a => (
+                <div key={a.id} className={`rounded-xl p-4 text-center ${earned[a.id] ? 'bg-gradient-to-br from-yellow-500/30 to-orange-500/30 border border-yellow-500/50' : 'bg-gray-800/50 opacity-50'}`}>
+                  <div className={`text-4xl mb-1 ${earned[a.id] ? '' : 'grayscale'}`}>{earned[a.id] ? a.icon : '🔒'}</div>
+                  <div className="text-white font-bold text-sm">{a.title}</div>
+                  <div className="text-gray-400 text-xs">{a.description}</div>
+                  {earned[a.id] && <div className="text-yellow-300 text-xs mt-1">{new Date(earned[a.id]).toLocaleDateString()}</div>}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </SpaceBackground>
+  );
+};
@@ -0,0 +1,242 @@
+import React from 'react';
+import { DEFAULT_SETTINGS } from '../config';
+import { getDailyGoalProgress, getCurrentPlayStreak } from '../lib/achievements';
+import { DIFFICULTY_LEVELS } from '../lib/adaptive';
+import { StarIcon, SpaceBackground, UpdateBanner } from '../components/shared';
+import { GAME_CATEGORIES, getGameType, getGameTypes } from '../games/registry';
+
+// ============ NAVIGATION COMPONENTS ============
+export const DifficultySelector = ({ game, onSelect, onBack, settings }) => {
+  const gameInfo = getGameType(game);
+  const lockedDifficulty = settings?.defaultDifficulty && settings.defaultDifficulty !== 'None' ? settings.defaultDifficulty : null;
+
+  return (
+    <SpaceBackground variant={gameInfo?.category || 'math'}>
+      <div className="flex flex-col items-center justify-center h-full px-4">
+        <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+        <div className="text-6xl mb-4">{gameInfo?.icon}</div>
+        <h1 className="text-4xl font-bold text-white mb-4">{gameInfo?.title}</h1>
+        {lockedDifficulty && <p className="text-purple-300 mb-4 text-sm">Difficulty locked to {lockedDifficulty} in settings</p>}
+        <div className="flex flex-col gap-4 w-full max-w-xs relative z-20">
+          {[...DIFFICULTY_LEVELS, 'Adaptive'].map(diff => {
+            const isDisabled = lockedDifficulty && lockedDifficulty !== diff;
+            return (
+              <button
+                key={diff}
+                onClick={() => !isDisabled && onSelect(diff)}
+                disabled={isDisabled}
+                className={`p-4 rounded-2xl text-left transition-all cursor-pointer ${isDisabled ? 'opacity-30 cursor-not-allowed' : 'hover:scale-105'} ${diff === 'Easy' ? 'bg-gradient-to-r from-green-500 to-green-600' : diff === 'Medium' ? 'bg-gradient-to-r from-yellow-500 to-orange-500' : diff === 'Hard' ? 'bg-gradient-to-r from-red-500 to-red-600' : 'bg-gradient-to-r from-purple-500 to-indigo-600'}`}
+              >
+                <div className="text-xl font-bold text-white">{diff === 'Adaptive' ? '🎯 Adaptive' : diff}</div>
+                {diff === 'Adaptive' && <div className="text-white/80 text-xs">Gets harder or easier as you play</div>}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </SpaceBackground>
+  );
+};
+
+export const GameTilesPage = ({ title, icon, games, onSelectGame, onBack, totalStars, variant }) => (
+  <SpaceBackground variant={variant}>
+    <div className="flex flex-col items-center h-full px-4 py-8 overflow-y-auto">
+      <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+      <div className="text-center mb-8 pt-8">
+        <h1 className="text-4xl font-bold text-white mb-2">{icon} {title}</h1>
+        <div className="flex items-center justify-center gap-2 mt-4 bg-gray-900/60 px-4 py-2 rounded-full">
+          <StarIcon className="w-5 h-5 text-yellow-400" />
+          <span className="text-yellow-400 font-bold">{totalStars} Stars</span>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 max-w-4xl w-full pb-8 relative z-20">
+        {games.map((game, i) => (
+          <button key={game.id} onClick={() => onSelectGame(game.id)}
+            className={`bg-gradient-to-br ${game.color} p-4 rounded-2xl shadow-xl text-left transition-all hover:scale-105 cursor-pointer`}
+            style={{ animation: `slideIn 0.3s ease-out ${i * 0.05}s both` }}>
+            <div className="text-3xl mb-2">{game.icon}</div>
+            <h3 className="text-sm font-bold text-white mb-1">{game.title}</h3>
+            <p className="text-white/80 text-xs">{game.description}</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  </SpaceBackground>
+);
+
+export const EnglishLandingPage = ({ onSelectCategory, onBack, totalStars }) => (
+  <SpaceBackground variant="english">
+    <div className="flex flex-col items-center justify-center h-full px-4">
+      <button onClick={onBack} className="absolute top-4 left-4 w-10 h-10 rounded-full bg-gray-900/80 flex items-center justify-center text-white hover:bg-gray-700 z-20 cursor-pointer">←</button>
+      <h1 className="text-5xl font-bold text-white mb-8">📚 English Galaxy</h1>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-4xl w-full relative z-20">
+        {GAME_CATEGORIES.filter(cat => cat.subject === 'english').map(cat => (
+          <button key={cat.id} onClick={() => onSelectCategory(cat.id)} className={`bg-gradient-to-br ${cat.color} p-6 rounded-3xl shadow-2xl hover:scale-105 transition-all text-left cursor-pointer`}>
+            <div className="text-5xl mb-3">{cat.icon}</div>
+            <h2 className="text-2xl font-bold text-white mb-1">{cat.title}</h2>
+            <p className="text-white/70 text-sm">{getGameTypes({ category: cat.id }).length} games</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  </SpaceBackground>
+);
+
+export const MainLandingPage = ({ onSelectSubject, totalStars, onOpenLeaderboard, onOpenQA, onOpenSettings, onOpenProfiles, onOpenPractice, onOpenTrophies, profile, leaderboard = [], settings = DEFAULT_SETTINGS, updateReady, onApplyUpdate }) => {
+  // Time-based greeting
+  const getGreeting = () => {
+    const hour = new Date().getHours();
+    if (hour < 12) return { text: 'Good Morning', emoji: '🌅' };
+    if (hour < 17) return { text: 'Good Afternoon', emoji: '☀️' };
+    return { text: 'Good Evening', emoji: '🌙' };
+  };
+  const greeting = getGreeting();
+
+  // Calculate achievements
+  const myGames = profile ? leaderboard.filter(g => g.profileId === profile.id) : leaderboard;
+  const totalGames = myGames.length;
+  const bestStreak = myGames.reduce((max, g) => Math.max(max, g.streak || 0), 0);
+  const dayStreak = profile ? getCurrentPlayStreak(myGames) : 0;
+  const goal = profile ? getDailyGoalProgress(myGames, settings) : null;
+
+  // Floating elements for fun animation
+  const floatingItems = ['🚀', '⭐', '🌍', '🛸', '💫', '🌟'];
+
+  return (
+    <SpaceBackground>
+      {/* Settings button - top right */}
+      <button onClick={onOpenSettings} className="absolute top-4 right-4 w-12 h-12 rounded-full bg-gray-900/80 flex items-center justify-center text-2xl hover:bg-gray-700 z-30 cursor-pointer transition-all hover:scale-110">
+        ⚙️
+      </button>
+
+      {updateReady && <UpdateBanner onUpdate={onApplyUpdate} />}
+
+      {/* Active player - top left */}
+      <button onClick={onOpenProfiles} className="absolute top-4 left-4 flex items-center gap-2 bg-gray-900/80 px-4 py-2 rounded-full text-white hover:bg-gray-700 z-30 cursor-pointer transition-all hover:scale-105">
+        <span className="text-2xl">{profile ? profile.avatar : '👤'}</span>
+        <span className="font-bold text-sm">{profile ? profile.name : 'Choose player'}</span>
+      </button>
+
+      {/* Floating decorations */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none z-0">
+        {floatingItems.map((item, i) => (
+          <div key={i} className="absolute text-4xl opacity-40"
+            style={{
+              left: `${10 + i * 15}%`,
+              top: `${20 + (i % 3) * 25}%`,
+              animation: `float ${3 + i * 0.5}s ease-in-out infinite`,
+              animationDelay: `${i * 0.3}s`
+            }}>
+            {item}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-col items-center justify-center min-h-full px-4 py-6 relative z-10">
+        {/* Mascot and Greeting */}
+        <div className="text-center mb-4">
+          <div className="text-7xl mb-2" style={{ animation: 'float 2s ease-in-out infinite' }}>🤖</div>
+          <p className="text-lg text-purple-200">{greeting.emoji} {greeting.text}, {profile ? profile.name : 'Explorer'}!</p>
+        </div>
+
+        {/* Title */}
+        <h1 className="text-4xl sm:text-5xl md:text-6xl font-bold mb-2 text-center">
+          <span className="bg-gradient-to-r from-yellow-300 via-pink-400 to-purple-500 bg-clip-text text-transparent drop-shadow-lg">
+            Learning Galaxy
+          </span>
+        </h1>
+        <p className="text-sm sm:text-base text-purple-300 mb-4">Fun learning for Grade 3-4! 🎮</p>
+
+        {/* Stats Cards - Mobile friendly row */}
+        <div className="flex flex-wrap justify-center gap-2 sm:gap-3 mb-6 relative z-20">
+          <div className="flex items-center gap-2 bg-gradient-to-r from-yellow-500/20 to-orange-500/20 border border-yellow-500/50 px-3 py-2 rounded-full">
+            <span className="text-xl">⭐</span>
+            <span className="text-yellow-300 font-bold text-sm sm:text-base">{totalStars}</span>
+          </div>
+          <div className="flex items-center gap-2 bg-gradient-to-r from-green-500/20 to-emerald-500/20 border border-green-500/50 px-3 py-2 rounded-full">
+            <span className="text-xl">🎮</span>
+            <span className="text-green-300 font-bold text-sm sm:text-base">{totalGames} played</span>
+          </div>
+          <div className="flex items-center gap-2 bg-gradient-to-r from-orange-500/20 to-red-500/20 border border-orange-500/50 px-3 py-2 rounded-full">
+            <span className="text-xl">🔥</span>
+            <span className="text-orange-300 font-bold text-sm sm:text-base">{bestStreak} streak</span>
+          </div>
+          {profile && (
+            <div className="flex items-center gap-2 bg-gradient-to-r from-purple-500/20 to-pink-500/20 border border-purple-500/50 px-3 py-2 rounded-full">
+              <span className="text-xl">📅</span>
+              <span className="text-purple-200 font-bold text-sm sm:text-base">{dayStreak} day{dayStreak === 1 ? '' : 's'} in a row</span>
+            </div>
+          )}
+        </div>
+
+        {/* Daily goal */}
+        {goal && (
+          <div className="w-full max-w-md bg-gray-900/70 rounded-2xl px-4 py-3 mb-6 relative z-20">
+            <div className="flex justify-between text-sm mb-2">
+              <span className="text-white font-bold">{goal.met ? '🎉 Daily goal done!' : "🎯 Today's goal"}</span>
+              <span className="text-gray-300">{goal.icon} {Math.min(goal.value, goal.target)} / {goal.target} {goal.unit}</span>
+            </div>
+            <div className="h-3 rounded-full bg-gray-700 overflow-hidden">
+              <div className={`h-full rounded-full transition-all ${goal.met ? 'bg-gradient-to-r from-yellow-400 to-green-400' : 'bg-gradient-to-r from-purple-500 to-pink-500'}`}
+                style={{ width: `${Math.min(100, Math.round(100 * goal.value / goal.target))}%` }} />
+            </div>
+          </div>
+        )}
+
+        {/* Subject Cards - Responsive grid */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 w-full max-w-md sm:max-w-2xl relative z-20 mb-6">
+          <button onClick={() => onSelectSubject('math')}
+            className="bg-gradient-to-br from-purple-500 via-purple-600 to-indigo-700 p-6 sm:p-8 rounded-3xl shadow-2xl hover:scale-105 transition-all text-left cursor-pointer border-2 border-purple-400/30 group">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="text-5xl sm:text-6xl mb-2 group-hover:scale-110 transition-transform">🔢</div>
+                <h2 className="text-2xl sm:text-3xl font-bold text-white mb-1">Math</h2>
+                <p className="text-purple-200 text-sm">{getGameTypes({ subject: 'math' }).length} fun games!</p>
+              </div>
+              <div className="text-4xl opacity-50 group-hover:opacity-100 transition-opacity">→</div>
+            </div>
+          </button>
+          <button onClick={() => onSelectSubject('english')}
+            className="bg-gradient-to-br from-blue-500 via-blue-600 to-cyan-700 p-6 sm:p-8 rounded-3xl shadow-2xl hover:scale-105 transition-all text-left cursor-pointer border-2 border-blue-400/30 group">
+            <div className="flex items-center justify-between">
+              <div>
+                <div className="text-5xl sm:text-6xl mb-2 group-hover:scale-110 transition-transform">📚</div>
+                <h2 className="text-2xl sm:text-3xl font-bold text-white mb-1">English</h2>
+                <p className="text-blue-200 text-sm">{getGameTypes({ subject: 'english' }).length} fun games!</p>
+              </div>
+              <div className="text-4xl opacity-50 group-hover:opacity-100 transition-opacity">→</div>
+            </div>
+          </button>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex flex-col sm:flex-row gap-3 relative z-20">
+          {profile && (
+            <button onClick={onOpenPractice}
+              className="flex items-center gap-3 bg-gradient-to-r from-fuchsia-500 to-pink-500 px-6 py-3 rounded-full font-bold text-white hover:scale-105 transition-all shadow-lg cursor-pointer">
+              <span className="text-2xl">🧠</span>
+              <span>Practice My Mistakes</span>
+            </button>
+          )}
+          {profile && (
+            <button onClick={onOpenTrophies}
+              className="flex items-center gap-3 bg-gradient-to-r from-orange-500 to-red-500 px-6 py-3 rounded-full font-bold text-white hover:scale-105 transition-all shadow-lg cursor-pointer">
+              <span className="text-2xl">🏅</span>
+              <span>My Trophies</span>
+            </button>
+          )}
+          <button onClick={onOpenLeaderboard}
+            className="flex items-center gap-3 bg-gradient-to-r from-amber-500 to-yellow-500 px-6 py-3 rounded-full font-bold text-white hover:scale-105 transition-all shadow-lg cursor-pointer">
+            <span className="text-2xl">🏆</span>
+            <span>View Leaderboard</span>
+          </button>
+          <button onClick={onOpenQA}
+            className="flex items-center gap-3 bg-gradient-to-r from-cyan-500 to-blue-500 px-6 py-3 rounded-full font-bold text-white hover:scale-105 transition-all shadow-lg cursor-pointer">
+            <span className="text-2xl">📊</span>
+            <span>QA Analytics</span>
+          </button>
+        </div>
+      </div>
+    </SpaceBackground>
+  );
+};
@@ -0,0 +1,139 @@
+// ============ SERVICE WORKER ============
+// Copied to the site root as sw.js by `npm run build`, which fills in APP_VERSION (a hash of the built page)
+// and PRECACHE. A new version installs alongside the old one and waits until the app's "Update" button
+// sends SKIP_WAITING, so nobody gets reloaded in the middle of a game.
+const APP_VERSION = '__APP_VERSION__';
+const PRECACHE = __PRECACHE__;
+
+const SHELL_CACHE = `learning-galaxy-shell-${APP_VERSION}`;
+const SHEET_CACHE = 'learning-galaxy-sheets';
+const OUTBOX_DB = 'learning-galaxy-sw';
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'learning-galaxy-outbox';
+// Set on sheet CSVs answered from SHEET_CACHE: when that copy was fetched, so the app can show its age
+const FROM_CACHE_HEADER = 'X-From-Cache';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith('learning-galaxy-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+    await replayOutbox().catch(() => { });
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+  // Sent by the app when it comes back online, for browsers without Background Sync
+  if (event.data?.type === 'FLUSH_OUTBOX') event.waitUntil(replayOutbox().catch(() => { }));
+});
+
+self.addEventListener('sync', (event) => {
+  // A rejected promise tells the browser to try again later
+  if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(replayOutbox());
+});
+
+// Published Google Sheets tabs: ...?output=csv, gviz ...?tqx=out:csv or /export?format=csv
+const isSheetCsv = (url) =>
+  url.hostname === 'docs.google.com' && url.pathname.includes('/spreadsheets/') && /(output=csv|out:csv|format=csv)/.test(url.search);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'POST') {
+    event.respondWith(postOrQueue(request));
+  } else if (request.method === 'GET' && isSheetCsv(url)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else if (request.method === 'GET' && url.origin === self.location.origin) {
+    event.respondWith(fromShell(request));
+  }
+});
+
+// The shell is cache-first: it only changes when a new worker (with a new cache) takes over
+const fromShell = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const page = request.mode === 'navigate' ? await cache.match('./') : null;
+    if (page) return page;
+    throw e;
+  }
+};
+
+// The stored copy carries FROM_CACHE_HEADER; the response the page gets from the network does not.
+// Opaque responses can't be rebuilt, so they are stored unmarked.
+const stampFetchedAt = async (res) => {
+  if (res.type === 'opaque') return res;
+  const headers = new Headers(res.headers);
+  headers.set(FROM_CACHE_HEADER, new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+};
+
+// Answer from the last copy of the sheet at once and refresh it for next time
+const staleWhileRevalidate = async (event, request) => {
+  const cache = await caches.open(SHEET_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(res => {
+    if (res.ok) event.waitUntil(stampFetchedAt(res.clone()).then(copy => cache.put(request, copy)));
+    return res;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => { }));
+  return cached;
+};
+
+// ============ OFFLINE OUTBOX ============
+// Leaderboard and settings POSTs that fail for lack of network are kept in IndexedDB and replayed later.
+// The page gets a 202 with { status: 'queued' } so it can say the data will go out when the connection is back.
+const openOutbox = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(OUTBOX_DB, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const withOutbox = async (mode, action) => {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = action(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+const postOrQueue = async (request) => {
+  const body = await request.clone().text();
+  try {
+    return await fetch(request);
+  } catch (e) {
+    await withOutbox('readwrite', store => store.add({
+      url: request.url,
+      body,
+      contentType: request.headers.get('Content-Type') || 'text/plain;charset=utf-8',
+      queuedAt: new Date().toISOString()
+    }));
+    if (self.registration.sync) await self.registration.sync.register(OUTBOX_SYNC_TAG).catch(() => { });
+    return new Response(JSON.stringify({ status: 'queued', message: 'Saved to send when the connection is back' }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+// Oldest first, so a later settings save still lands after an earlier one.
+// Anything the server answered is done with; a network failure stops here and leaves the rest queued.
+const replayOutbox = async () => {
+  const queued = await withOutbox('readonly', store => store.getAll());
+  for (const item of queued) {
+    await fetch(item.url, { method: 'POST', headers: { 'Content-Type': item.contentType }, body: item.body });
+    await withOutbox('readwrite', store => store.delete(item.id));
+  }
+};
@@ -0,0 +1,6 @@
+// Only classes that appear in src end up in the built CSS
+module.exports = {
+  content: { relative: true, files: ['./src/**/*.{js,jsx}'] },
+  theme: { extend: {} },
+  plugins: []
+};
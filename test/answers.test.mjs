@@ -0,0 +1,32 @@
+// Run with `npm test` (node's built-in test runner)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answersMatch, parseFractionAnswer, parseMoneyAnswer, parseTimeAnswer } from '../src/lib/answers.js';
+
+test('fractions compare by value', () => {
+  assert.ok(answersMatch(parseFractionAnswer, '2/4', '1/2'));
+  assert.ok(answersMatch(parseFractionAnswer, '0.5', '1/2'));
+  assert.ok(answersMatch(parseFractionAnswer, '1 1/2', '3/2'));
+  assert.ok(!answersMatch(parseFractionAnswer, '1/0', '1/2'));
+});
+
+test('clock readings need the clock format', () => {
+  assert.ok(answersMatch(parseTimeAnswer, '3:5', '3:05'));
+  assert.ok(!answersMatch(parseTimeAnswer, '185', '3:05'));
+});
+
+test('durations accept a bare number of minutes', () => {
+  assert.ok(answersMatch(parseTimeAnswer, '90', '1 hour 30 min'));
+  assert.ok(answersMatch(parseTimeAnswer, '90 minutes', '1 hour 30 min'));
+  assert.ok(answersMatch(parseTimeAnswer, '2h', '2 hours'));
+  assert.ok(!answersMatch(parseTimeAnswer, '60', '2 hours'));
+});
+
+test('a bare money amount is read in the unit of the answer', () => {
+  assert.ok(answersMatch(parseMoneyAnswer, '60', '60¢'));
+  assert.ok(answersMatch(parseMoneyAnswer, '$0.60', '60¢'));
+  assert.ok(!answersMatch(parseMoneyAnswer, '0.60', '60¢'));
+  assert.ok(answersMatch(parseMoneyAnswer, '1', '$1.00'));
+  assert.ok(answersMatch(parseMoneyAnswer, '100¢', '$1.00'));
+  assert.ok(!answersMatch(parseMoneyAnswer, '100', '$1.00'));
+});
@@ -0,0 +1,60 @@
+// Run with `npm test` (node's built-in test runner)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCSVDetailed } from '../src/lib/csv.js';
+
+const readSheet = (name) => readFileSync(new URL(`../${name}`, import.meta.url), 'utf8');
+
+test('bundled math sheet parses cleanly', () => {
+  const { headers, rows, errors } = parseCSVDetailed(readSheet('MATH_GOOGLE_SHEET_DATA.csv'));
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 192);
+  assert.deepEqual(headers.slice(0, 5), ['game_type', 'num1', 'num2', 'operation', 'answer']);
+  assert.ok(rows.every(row => row.game_type));
+});
+
+test('bundled English sheet parses cleanly', () => {
+  const { headers, rows, errors } = parseCSVDetailed(readSheet('ENGLISH_GOOGLE_SHEET_DATA.csv'));
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 213);
+  assert.deepEqual(headers.slice(0, 4), ['game_type', 'text1', 'text2', 'answer']);
+  assert.ok(rows.every(row => row.game_type));
+});
+
+test('strips a BOM and reads CRLF line endings', () => {
+  const { headers, rows, lines, errors } = parseCSVDetailed('﻿game_type,answer\r\nspace-math,4\r\nspace-math,9\r\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(headers, ['game_type', 'answer']);
+  assert.deepEqual(rows, [{ game_type: 'space-math', answer: '4' }, { game_type: 'space-math', answer: '9' }]);
+  assert.deepEqual(lines, [2, 3]);
+});
+
+test('unescapes doubled quotes inside quoted fields', () => {
+  const { rows, errors } = parseCSVDetailed('text1,answer\n"She said ""hi"", then left",yes\n');
+  assert.deepEqual(errors, []);
+  assert.equal(rows[0].text1, 'She said "hi", then left');
+});
+
+test('keeps line breaks in quoted fields and numbers later rows by sheet line', () => {
+  const { rows, lines, errors } = parseCSVDetailed('text1,answer\n"First line\r\nsecond line\nthird",a\nnext,b\n');
+  assert.deepEqual(errors, []);
+  assert.equal(rows[0].text1, 'First line\nsecond line\nthird');
+  assert.equal(rows[1].text1, 'next');
+  assert.deepEqual(lines, [2, 5]);
+});
+
+test('reports an unterminated quote on the line the record starts', () => {
+  const { errors } = parseCSVDetailed('text1,answer\nok,a\n"never closed,b\nmore\n');
+  const unclosed = errors.filter(e => e.severity === 'error');
+  assert.equal(unclosed.length, 1);
+  assert.equal(unclosed[0].line, 3);
+  assert.match(unclosed[0].message, /never closed/);
+});
+
+test('reports text after a closing quote on its line', () => {
+  const { errors } = parseCSVDetailed('text1,answer\nok,a\n"multi\nline"x,b\n');
+  assert.equal(errors[0].severity, 'error');
+  assert.equal(errors[0].line, 4);
+  assert.match(errors[0].message, /after a closing quote/);
+});
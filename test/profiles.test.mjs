@@ -0,0 +1,27 @@
+// Run with `npm test` (node's built-in test runner)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateLeaderboardToProfiles, normalizeName } from '../src/lib/profiles.js';
+
+test('names match regardless of case, spacing and punctuation', () => {
+  assert.equal(normalizeName('  Kani  Priya! '), 'kani priya');
+  assert.equal(normalizeName('KANI'), normalizeName('kani.'));
+});
+
+test('letters and digits outside a-z are kept', () => {
+  assert.equal(normalizeName('Zoë'), 'zoë');
+  assert.equal(normalizeName('Zoe\u0308'), 'zoë');
+  assert.equal(normalizeName('கனி'), 'கனி');
+  assert.equal(normalizeName('José María'), 'josé maría');
+  assert.notEqual(normalizeName('Zoë'), normalizeName('Zoe'));
+  assert.notEqual(normalizeName('Player 1'), normalizeName('Player 2'));
+});
+
+test('legacy entries with non-Latin names get their own profiles', () => {
+  const { profiles, leaderboard } = migrateLeaderboardToProfiles([
+    { name: 'கனி', stars: 10 }, { name: 'élodie', stars: 5 }, { name: 'Élodie ', stars: 7 }
+  ], []);
+  assert.deepEqual(profiles.map(p => p.name), ['கனி', 'Élodie']);
+  assert.equal(leaderboard[1].profileId, leaderboard[2].profileId);
+  assert.notEqual(leaderboard[0].profileId, leaderboard[1].profileId);
+});